@@ -10,16 +10,36 @@ class QuizApp {
         this.githubAuth = new GitHubAuth();
         this.gistDatabase = new GistDatabase(this.githubAuth);
         this.perplexityAnalyzer = new PerplexityAnalyzer();
+        this.settings = new QuizSettings();
+        this.codeHighlighter = new CodeHighlighter();
+        this.mathRenderer = new MathRenderer();
+        this.questionBank = new QuestionBank();
+        this.folderLoader = new FolderLoader(this.questionBank, (name) => /\.pdf$/i.test(name) || this.questionImporter.canImport({ name }));
+        this.duplicateDetector = new DuplicateDetector();
+        this.questionImporter = new QuestionImporter(this.pdfParser);
+        this.questionExporter = new QuestionExporter(this.pdfParser);
+        this.questionOverrides = new QuestionOverrides(this.questionBank, this.pdfParser);
+        this.topicTagger = new TopicTagger();
+        this.pdfParser.setCorrectionRules(this.settings.get('correctionRules'));
+        this.pdfParser.setStripPatterns(this.settings.get('stripPatterns'));
+        this.pdfParser.setOcrEngine(new OcrEngine());
 
         // Quiz state
+        this.library = [];
+        this.duplicateReport = { groups: [], conflicts: [] };
+        this.editingQuestion = null;
         this.questions = [];
         this.currentRound = 1;
         this.currentQuestionIndex = 0;
         this.roundScores = [0, 0, 0];
+        this.roundScoredCounts = [0, 0, 0];
         this.roundQuestions = [];
         this.usedQuestionIds = [];
+        this.responses = [];
         this.selectedAnswer = null;
+        this.selectedLetters = [];
         this.isAnswered = false;
+        this.parseAbort = null;
 
         // Timer state
         this.questionStartTime = null;
@@ -33,6 +53,7 @@ class QuizApp {
         // Constants
         this.QUESTIONS_PER_ROUND = 20;
         this.TOTAL_ROUNDS = 3;
+        this.MANIFEST_URL = 'tech/manifest.json';
 
         // Initialize
         this.init();
@@ -78,9 +99,43 @@ class QuizApp {
         // Landing screen
         document.getElementById('startBtn').addEventListener('click', () => this.startQuiz());
         document.getElementById('refreshBtn').addEventListener('click', () => this.refreshQuestions());
+        document.getElementById('openEditorBtn').addEventListener('click', () => this.openEditor());
+
+        // Question editor
+        document.getElementById('editorBackBtn').addEventListener('click', () => {
+            this.closeEditorForm();
+            this.showScreen('landing');
+        });
+        document.getElementById('editorAddBtn').addEventListener('click', () => this.openEditorForm(null));
+        ['editorSearchInput', 'editorSourceSelect', 'editorTopicSelect', 'editorStatusSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderEditorList());
+        });
+        document.getElementById('editorList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-edit], [data-restore]');
+            if (!button) return;
+            if (button.dataset.edit) {
+                this.openEditorForm(this.questions.find(q => q.id === button.dataset.edit));
+            } else {
+                this.restoreQuestion(button.dataset.restore);
+            }
+        });
+        document.getElementById('editorOptions').addEventListener('click', (e) => {
+            const button = e.target.closest('.editor-option-remove');
+            if (button) button.closest('.editor-option').remove();
+        });
+        document.getElementById('editorAddOptionBtn').addEventListener('click', () => this.addEditorOption('', false));
+        document.getElementById('editorForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEditorForm();
+        });
+        document.getElementById('editorCancelBtn').addEventListener('click', () => this.closeEditorForm());
+        document.getElementById('editorRevertBtn').addEventListener('click', () => this.revertEditingQuestion());
+        document.getElementById('editorDeleteBtn').addEventListener('click', () => this.deleteEditingQuestion());
 
         // Quiz screen
         document.getElementById('skipBtn').addEventListener('click', () => this.skipQuestion());
+        document.getElementById('submitAnswerBtn').addEventListener('click', () => this.submitMultiSelect());
+        document.getElementById('nextQuestionBtn').addEventListener('click', () => this.nextQuestion());
 
         // Round complete screen
         document.getElementById('nextRoundBtn').addEventListener('click', () => this.startNextRound());
@@ -103,6 +158,49 @@ class QuizApp {
         document.getElementById('perplexityClearBtn').addEventListener('click', () => this.handlePerplexityClear());
         document.getElementById('setupPerplexityBtn').addEventListener('click', () => this.openSettings());
         document.getElementById('reanalyzeBtn').addEventListener('click', () => this.runAnalysis());
+
+        // Quiz options
+        const unscoredToggle = document.getElementById('includeUnscoredToggle');
+        unscoredToggle.checked = this.settings.get('includeUnscored');
+        unscoredToggle.addEventListener('change', (e) => {
+            this.settings.set('includeUnscored', e.target.checked);
+            this.showLibraryStatus();
+        });
+
+        const scoringSelect = document.getElementById('multiSelectScoringSelect');
+        scoringSelect.value = this.settings.get('multiSelectScoring');
+        scoringSelect.addEventListener('change', (e) => {
+            this.settings.set('multiSelectScoring', e.target.value);
+        });
+
+        // PDF parsing and library
+        document.getElementById('cancelParseBtn').addEventListener('click', () => {
+            if (this.parseAbort) this.parseAbort.abort();
+        });
+        document.getElementById('libraryList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this.handleLibraryAction(button.dataset.action, button.dataset.hash);
+        });
+        ['exportSourceSelect', 'exportTopicSelect', 'exportStatusSelect', 'exportSearchInput'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateExportCount());
+        });
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportQuestions());
+        document.getElementById('topicSelect').addEventListener('change', (e) => {
+            this.settings.set('topicFilter', e.target.value);
+            this.showLibraryStatus();
+        });
+        document.getElementById('duplicatesList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-pair]');
+            if (button) this.keepSeparate(button.dataset.pair);
+        });
+
+        // Text corrections
+        document.getElementById('addCorrectionBtn').addEventListener('click', () => this.addCorrectionRule());
+        document.getElementById('correctionRulesList').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-rule-index]');
+            if (removeBtn) this.removeCorrectionRule(Number(removeBtn.dataset.ruleIndex));
+        });
+        this.renderCorrectionRules();
     }
 
     // ========================================
@@ -123,6 +221,53 @@ class QuizApp {
         document.getElementById('settingsModal').classList.remove('active');
     }
 
+    /**
+     * Add a find/replace text correction rule from the settings form
+     */
+    addCorrectionRule() {
+        const findInput = document.getElementById('correctionFindInput');
+        const replaceInput = document.getElementById('correctionReplaceInput');
+        const find = findInput.value;
+        if (!find.trim()) return;
+
+        this.saveCorrectionRules([...this.settings.get('correctionRules'), { find, replace: replaceInput.value }]);
+        findInput.value = '';
+        replaceInput.value = '';
+    }
+
+    /**
+     * Remove a text correction rule by its position in the list
+     */
+    removeCorrectionRule(index) {
+        this.saveCorrectionRules(this.settings.get('correctionRules').filter((_, i) => i !== index));
+    }
+
+    /**
+     * Persist the correction rules and hand them to the parser
+     */
+    saveCorrectionRules(rules) {
+        this.settings.set('correctionRules', rules);
+        this.pdfParser.setCorrectionRules(rules);
+        this.renderCorrectionRules();
+    }
+
+    /**
+     * Render the list of user text correction rules
+     */
+    renderCorrectionRules() {
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+        const rules = this.settings.get('correctionRules');
+
+        document.getElementById('correctionRulesList').innerHTML = rules.map((rule, i) => `
+            <li class="correction-rule">
+                <code>${escape(rule.find)}</code>
+                <span class="correction-arrow">→</span>
+                <code>${escape(rule.replace) || '<em>(remove)</em>'}</code>
+                <button class="modal-close correction-remove" data-rule-index="${i}" title="Remove rule">&times;</button>
+            </li>
+        `).join('');
+    }
+
     // ========================================
     // GITHUB AUTH METHODS
     // ========================================
@@ -316,11 +461,12 @@ class QuizApp {
         result.style.display = 'none';
         unavailable.style.display = 'none';
 
+        const totalScored = this.getTotalScoredCount();
         const quizData = {
             roundScores: this.roundScores,
             totalScore: this.getTotalScore(),
-            totalQuestions: this.QUESTIONS_PER_ROUND * this.TOTAL_ROUNDS,
-            accuracy: Math.round((this.getTotalScore() / (this.QUESTIONS_PER_ROUND * this.TOTAL_ROUNDS)) * 100),
+            totalQuestions: totalScored,
+            accuracy: totalScored > 0 ? Math.round((this.getTotalScore() / totalScored) * 100) : 0,
             roundTimes: this.roundTimes.map(t => this.formatTime(t)),
             previousAttempts: this.scoreTracker.getAllAttempts().slice(1) // Exclude current
         };
@@ -340,74 +486,87 @@ class QuizApp {
     }
 
     /**
-     * Load questions from PDF files in tech folder
+     * Set up the file and folder pickers and the drop zone, then load the saved library
      */
     async loadQuestionsFromFolder() {
         const loadingStatus = document.getElementById('loadingStatus');
-        const questionCount = document.getElementById('questionCount');
-        const startBtn = document.getElementById('startBtn');
 
         try {
-            // Create file input programmatically for PDF selection
-            // Since we can't access files directly, we'll prompt user to select
-            loadingStatus.innerHTML = `
-                <span>Select PDF files from the tech folder:</span>
-            `;
-
-            // Add file input
+            // Files can't be read from disk directly, so the user picks or drops them
             const fileInputContainer = document.createElement('div');
+            fileInputContainer.id = 'pdfInputContainer';
             fileInputContainer.style.marginTop = '1.5rem';
             fileInputContainer.innerHTML = `
-                <input type="file" id="pdfInput" multiple accept=".pdf" style="display: none;">
-                <label for="pdfInput" class="btn btn-outline" style="cursor: pointer;">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-                        <polyline points="17 8 12 3 7 8"/>
-                        <line x1="12" y1="3" x2="12" y2="15"/>
-                    </svg>
-                    <span>Select PDFs from tech folder</span>
-                </label>
-                <p style="font-size: 0.8rem; color: #737373; margin-top: 0.75rem;">
-                    Navigate to: Downloads → Exam fun → tech
-                </p>
+                <input type="file" id="pdfInput" multiple accept=".pdf,${this.questionImporter.getExtensions().join(',')}" style="display: none;">
+                <input type="file" id="folderInput" webkitdirectory multiple style="display: none;">
+                <div class="drop-zone" id="dropZone">
+                    <p class="drop-zone-hint">Drop PDFs, question files or whole folders here</p>
+                    <div class="drop-zone-actions">
+                        <label for="pdfInput" class="btn btn-outline" style="cursor: pointer;">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                                <polyline points="17 8 12 3 7 8"/>
+                                <line x1="12" y1="3" x2="12" y2="15"/>
+                            </svg>
+                            <span>Select files</span>
+                        </label>
+                        <button class="btn btn-outline" id="pickFolderBtn">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+                            </svg>
+                            <span>Select folder</span>
+                        </button>
+                    </div>
+                    <p style="font-size: 0.8rem; color: #737373; margin-top: 0.75rem;">
+                        Question files in JSON, CSV, Markdown, Aiken or GIFT format can be added too
+                    </p>
+                </div>
+                <div class="library-list saved-folders" id="savedFolders"></div>
             `;
 
             loadingStatus.parentNode.insertBefore(fileInputContainer, loadingStatus.nextSibling);
 
-            // Handle file selection
+            // Handle file and folder selection
             document.getElementById('pdfInput').addEventListener('change', async (e) => {
                 const files = Array.from(e.target.files);
+                e.target.value = '';
                 if (files.length === 0) return;
-
-                loadingStatus.innerHTML = `
-                    <div class="spinner"></div>
-                    <span>Parsing ${files.length} PDF files...</span>
-                `;
-                fileInputContainer.style.display = 'none';
-
-                try {
-                    this.questions = await this.pdfParser.loadPDFs(files);
-
-                    if (this.questions.length >= this.QUESTIONS_PER_ROUND) {
-                        loadingStatus.style.display = 'none';
-                        questionCount.style.display = 'block';
-                        document.getElementById('totalQuestions').textContent = this.questions.length;
-                        startBtn.disabled = false;
-                    } else {
-                        loadingStatus.innerHTML = `
-                            <span style="color: #a3a3a3;">Only ${this.questions.length} questions found. Need at least ${this.QUESTIONS_PER_ROUND}.</span>
-                        `;
-                        fileInputContainer.style.display = 'block';
-                    }
-                } catch (error) {
-                    console.error('Error parsing PDFs:', error);
-                    loadingStatus.innerHTML = `
-                        <span style="color: #ef4444;">Error parsing PDFs. Please try again.</span>
-                    `;
-                    fileInputContainer.style.display = 'block';
-                }
+                await this.addSources(files);
+            });
+            document.getElementById('folderInput').addEventListener('change', async (e) => {
+                const files = this.folderLoader.filterFiles(e.target.files);
+                const picked = e.target.files.length > 0;
+                e.target.value = '';
+                if (picked) await this.addFolderFiles(files);
+            });
+            document.getElementById('pickFolderBtn').addEventListener('click', () => this.pickFolder());
+            document.getElementById('savedFolders').addEventListener('click', (e) => {
+                const button = e.target.closest('[data-folder-action]');
+                if (button) this.handleFolderAction(button.dataset.folderAction, button.dataset.id);
             });
+            this.setupDropZone();
+            this.renderSavedFolders();
+
+            // Start from the saved question bank. Sources saved by an older parser
+            // or with different correction settings are parsed again.
+            await this.questionOverrides.load();
+            this.library = await this.questionBank.getAll();
+            // Sources with scanned pages are out of date once OCR can (or can no longer) run
+            if (this.library.some(source => source.report.scannedPages > 0)) await this.pdfParser.canRunOcr();
+            const stale = this.library.filter(source => source.parseKey !== this.pdfParser.getParseKey(source.name, source.report));
+            if (stale.length > 0) {
+                await this.parseSources(stale.map(source => ({
+                    file: this.getSourceFile(source),
+                    hash: source.hash,
+                    addedAt: source.addedAt,
+                    bundled: source.bundled
+                })));
+            } else {
+                this.applyLibrary();
+            }
 
+            // Then bring in the sources deployed with the app
+            await this.loadBundledSources();
         } catch (error) {
             console.error('Error setting up file input:', error);
             loadingStatus.innerHTML = `
@@ -416,6 +575,768 @@ class QuizApp {
         }
     }
 
+    // ========================================
+    // QUESTION LIBRARY METHODS
+    // ========================================
+
+    /**
+     * Accept files and folders dropped anywhere on the landing screen
+     */
+    setupDropZone() {
+        const landing = document.getElementById('landing');
+        const dropZone = document.getElementById('dropZone');
+        let depth = 0;
+
+        landing.addEventListener('dragenter', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            depth++;
+            dropZone.classList.add('dragging');
+        });
+        landing.addEventListener('dragleave', () => {
+            depth = Math.max(0, depth - 1);
+            if (depth === 0) dropZone.classList.remove('dragging');
+        });
+        landing.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = this.parseAbort ? 'none' : 'copy';
+        });
+        landing.addEventListener('drop', async (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            depth = 0;
+            dropZone.classList.remove('dragging');
+            if (this.parseAbort) return;
+
+            try {
+                await this.addFolderFiles(await this.folderLoader.collectDropped(e.dataTransfer));
+            } catch (error) {
+                console.error('Error reading dropped files:', error);
+                this.applyLibrary('Those files could not be read. Please try again.');
+            }
+        });
+    }
+
+    /**
+     * Pick a folder with the File System Access API (remembering it), or with
+     * the directory input where the API isn't available
+     */
+    async pickFolder() {
+        if (this.parseAbort) return;
+        if (!this.folderLoader.canPickFolders()) {
+            document.getElementById('folderInput').click();
+            return;
+        }
+
+        try {
+            const files = await this.folderLoader.pickFolder();
+            if (files) await this.addFolderFiles(files);
+        } catch (error) {
+            console.error('Error reading picked folder:', error);
+            this.applyLibrary('That folder could not be read. Please try again.');
+        }
+    }
+
+    /**
+     * Add the files found in picked or dropped folders
+     */
+    async addFolderFiles(files) {
+        if (files.length === 0) {
+            this.applyLibrary('No PDFs or question files were found there.');
+        } else {
+            await this.addSources(files);
+        }
+        this.renderSavedFolders();
+    }
+
+    /**
+     * List the remembered folders, each reloaded with one click
+     */
+    async renderSavedFolders() {
+        const list = document.getElementById('savedFolders');
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+        const folders = await this.folderLoader.getFolders();
+
+        list.style.display = folders.length > 0 ? 'flex' : 'none';
+        list.innerHTML = folders.map(folder => `
+            <div class="library-source">
+                <div class="library-info">
+                    <span class="library-name">${escape(folder.name)}</span>
+                    <span class="library-meta">folder • last loaded ${new Date(folder.usedAt).toLocaleDateString()}</span>
+                </div>
+                <div class="library-actions">
+                    <button class="btn btn-outline btn-sm" data-folder-action="reload" data-id="${escape(folder.id)}">Reload</button>
+                    <button class="btn btn-outline btn-sm btn-danger" data-folder-action="forget" data-id="${escape(folder.id)}">Forget</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Handle a reload or forget click in the saved folder list
+     */
+    async handleFolderAction(action, id) {
+        const folder = (await this.folderLoader.getFolders()).find(f => f.id === id);
+        if (!folder || this.parseAbort) return;
+
+        if (action === 'reload') {
+            const files = await this.folderLoader.reloadFolder(folder);
+            if (files) {
+                await this.addFolderFiles(files);
+            } else {
+                this.applyLibrary(`Couldn't read the folder "${this.pdfParser.escapeHtml(folder.name)}". Allow access or select it again.`);
+            }
+        } else if (action === 'forget') {
+            await this.folderLoader.forgetFolder(id);
+            this.renderSavedFolders();
+        }
+    }
+
+    /**
+     * Load the sources listed in tech/manifest.json next to the app (as on GitHub
+     * Pages). New or changed files are parsed; bundled sources that were changed
+     * or taken out of the manifest leave the library. Does nothing when there is
+     * no manifest, as when the app is opened from disk.
+     */
+    async loadBundledSources() {
+        let response, manifest;
+        try {
+            response = await fetch(this.MANIFEST_URL, { cache: 'no-cache' });
+            if (!response.ok) return;
+            manifest = await response.json();
+        } catch (e) {
+            // No manifest, or fetch isn't allowed (file:// pages)
+            return;
+        }
+
+        const names = (manifest.sources || [])
+            .map(entry => typeof entry === 'string' ? entry : entry.file)
+            .filter(Boolean);
+        const urls = new Set();
+        const fetched = new Map();
+        const jobs = [];
+        for (const name of names) {
+            const url = new URL(name, response.url).href;
+            urls.add(url);
+            try {
+                const fileResponse = await fetch(url);
+                if (!fileResponse.ok) throw new Error(`HTTP ${fileResponse.status}`);
+                const blob = await fileResponse.blob();
+                const file = new File([blob], name.split('/').pop(), { type: blob.type || 'application/pdf' });
+                const hash = await QuestionBank.hashFile(file);
+                fetched.set(url, hash);
+
+                const saved = this.library.find(source => source.hash === hash);
+                if (!saved) {
+                    jobs.push({ file, hash, bundled: url });
+                } else if (saved.bundled !== url) {
+                    saved.bundled = url;
+                    await this.questionBank.put(saved);
+                }
+            } catch (e) {
+                console.error(`Error loading bundled source ${name}:`, e);
+            }
+        }
+
+        // Files that failed to download keep their saved copy
+        const outdated = this.library.filter(source => source.bundled &&
+            (!urls.has(source.bundled) || (fetched.has(source.bundled) && fetched.get(source.bundled) !== source.hash)));
+        for (const source of outdated) {
+            await this.questionBank.delete(source.hash);
+        }
+        this.library = this.library.filter(source => !outdated.includes(source));
+
+        if (jobs.length > 0) {
+            await this.parseSources(jobs);
+        } else if (outdated.length > 0) {
+            this.applyLibrary();
+        } else {
+            this.renderLibrary();
+        }
+    }
+
+    /**
+     * Whether a library source's questions are played. Sources are turned off by
+     * content hash, so files sharing a name are switched separately and a changed
+     * file starts out on.
+     */
+    isSourceEnabled(source) {
+        return !this.settings.get('disabledSources').includes(source.hash);
+    }
+
+    /**
+     * Add picked PDFs to the library, parsing only files whose content isn't saved yet
+     */
+    async addSources(files) {
+        const hashes = await Promise.all(files.map(file => QuestionBank.hashFile(file)));
+        const known = new Set(this.library.map(source => source.hash));
+        const jobs = [];
+        files.forEach((file, i) => {
+            if (known.has(hashes[i])) return;
+            known.add(hashes[i]);
+            jobs.push({ file, hash: hashes[i] });
+        });
+
+        if (jobs.length > 0) {
+            await this.parseSources(jobs);
+        } else {
+            this.applyLibrary('Those files are already in the library.');
+        }
+    }
+
+    /**
+     * Parse PDFs and import question files ({ file, hash, addedAt } jobs) with
+     * progress and cancel, and save each one to the question bank
+     */
+    async parseSources(jobs) {
+        const loadingStatus = document.getElementById('loadingStatus');
+        const pdfJobs = jobs.filter(job => !this.questionImporter.canImport(job.file));
+        let notice = null;
+
+        loadingStatus.style.display = '';
+        loadingStatus.innerHTML = `
+            <div class="spinner"></div>
+            <span>Parsing ${jobs.length} files...</span>
+        `;
+        document.getElementById('questionCount').style.display = 'none';
+        document.getElementById('pdfInputContainer').style.display = 'none';
+        if (pdfJobs.length > 0) this.showParseProgress(pdfJobs.map(job => job.file));
+        this.parseAbort = new AbortController();
+
+        try {
+            const results = new Map();
+            if (pdfJobs.length > 0) {
+                await this.pdfParser.loadPDFs(pdfJobs.map(job => job.file), {
+                    onProgress: (update) => this.updateParseProgress(update),
+                    signal: this.parseAbort.signal
+                });
+                // By position, as files from different folders can share a name
+                const fileQuestions = this.pdfParser.getFileQuestions();
+                const reports = this.pdfParser.getReports();
+                pdfJobs.forEach((job, i) => results.set(job, {
+                    questions: fileQuestions[i],
+                    report: reports[i]
+                }));
+            }
+            for (const job of jobs) {
+                if (!results.has(job)) results.set(job, await this.questionImporter.importFile(job.file));
+            }
+
+            // JSON files that hold no questions (a manifest, settings) are left out quietly
+            const skipped = jobs.filter(job => results.get(job) === null);
+            if (skipped.length === jobs.length) notice = 'No PDFs or question files were found there.';
+
+            for (const job of jobs) {
+                if (skipped.includes(job)) continue;
+                const { questions, report } = results.get(job);
+                const source = {
+                    hash: job.hash,
+                    name: job.file.name,
+                    file: job.file,
+                    questions: questions,
+                    report: report,
+                    parseKey: this.pdfParser.getParseKey(job.file.name, report),
+                    bundled: job.bundled || null,
+                    addedAt: job.addedAt || Date.now(),
+                    parsedAt: Date.now()
+                };
+                // A file that failed to parse is listed but not saved
+                if (!source.report.error) await this.questionBank.put(source);
+                this.library = [...this.library.filter(s => s.hash !== job.hash), source]
+                    .sort((a, b) => a.addedAt - b.addedAt);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                notice = 'Parsing cancelled. Select files to try again.';
+            } else {
+                console.error('Error parsing files:', error);
+                notice = 'Error parsing files. Please try again.';
+            }
+        } finally {
+            this.parseAbort = null;
+            document.getElementById('parseProgress').style.display = 'none';
+            this.applyLibrary(notice);
+        }
+    }
+
+    /**
+     * Play the questions of every source in the library and refresh the landing screen
+     */
+    applyLibrary(notice = null) {
+        // Editor changes are applied to every fresh parse, then copies of the
+        // same question in several sources are played as one
+        const enabled = this.library.filter(source => this.isSourceEnabled(source));
+        const allQuestions = this.questionOverrides.apply(enabled.flatMap(source => source.questions));
+        const merged = this.duplicateDetector.merge(allQuestions, this.settings.get('keepSeparate'));
+        this.questions = this.topicTagger.apply(merged.questions, this.settings.get('questionTags'));
+        this.duplicateReport = merged.report;
+        this.pdfParser.setQuestions(this.questions, this.library.map(source => source.report));
+        this.renderLibrary();
+        this.renderDuplicates();
+        this.renderTopics();
+        this.renderExportPanel();
+        this.renderDiagnostics();
+        this.showLibraryStatus(notice);
+    }
+
+    /**
+     * Show the playable question count and start button, or why a quiz can't start
+     */
+    showLibraryStatus(notice = null) {
+        const loadingStatus = document.getElementById('loadingStatus');
+        const questionCount = document.getElementById('questionCount');
+        const playable = this.updateQuestionCount();
+
+        document.getElementById('pdfInputContainer').style.display = 'block';
+        if (playable >= this.QUESTIONS_PER_ROUND) {
+            loadingStatus.style.display = 'none';
+            questionCount.style.display = 'block';
+        } else {
+            let message = notice;
+            if (!message) {
+                message = this.library.length > 0
+                    ? `Only ${playable} playable questions found. Need at least ${this.QUESTIONS_PER_ROUND}.`
+                    : 'Select or drop PDF files to start:';
+                const unread = this.library.filter(source => source.report.scannedPages > source.report.ocrPages).length;
+                if (unread > 0) {
+                    const ocrError = this.pdfParser.getOcrError();
+                    message += ` ${unread} source${unread === 1 ? ' has' : 's have'} scanned pages that couldn't be read` +
+                        (ocrError ? ` - OCR failed to load: ${this.pdfParser.escapeHtml(ocrError)}.` : '.');
+                }
+            }
+            loadingStatus.style.display = '';
+            loadingStatus.innerHTML = `<span style="color: #a3a3a3;">${message}</span>`;
+            questionCount.style.display = 'none';
+        }
+    }
+
+    /**
+     * List the saved sources with their on/off switch and re-parse and remove
+     * actions. Bundled sources come back on the next visit, so they are only
+     * turned off.
+     */
+    renderLibrary() {
+        const panel = document.getElementById('libraryPanel');
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+
+        panel.style.display = this.library.length > 0 ? 'block' : 'none';
+        document.getElementById('libraryList').innerHTML = this.library.map(source => {
+            const added = source.bundled ? 'bundled with the app' : `added ${new Date(source.addedAt).toLocaleDateString()}`;
+            const status = source.report.error
+                ? '<span class="library-error">failed to parse</span>'
+                : `${source.questions.length} questions`;
+            const enabled = this.isSourceEnabled(source);
+            return `
+                <div class="library-source${enabled ? '' : ' disabled'}">
+                    <label class="library-toggle" title="Play questions from this source">
+                        <input type="checkbox" data-action="toggle" data-hash="${source.hash}"${enabled ? ' checked' : ''}>
+                    </label>
+                    <div class="library-info">
+                        <span class="library-name">${escape(source.name)}</span>
+                        <span class="library-meta">${status} • ${added}${enabled ? '' : ' • off'}</span>
+                    </div>
+                    <div class="library-actions">
+                        <button class="btn btn-outline btn-sm" data-action="reparse" data-hash="${source.hash}">Re-parse</button>
+                        ${source.bundled ? '' : `<button class="btn btn-outline btn-sm btn-danger" data-action="remove" data-hash="${source.hash}">Remove</button>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Handle a re-parse or remove click in the library list
+     */
+    async handleLibraryAction(action, hash) {
+        const source = this.library.find(s => s.hash === hash);
+        if (!source || this.parseAbort) return;
+
+        if (action === 'reparse') {
+            await this.parseSources([{ file: this.getSourceFile(source), hash: source.hash, addedAt: source.addedAt, bundled: source.bundled }]);
+        } else if (action === 'toggle') {
+            const disabled = this.settings.get('disabledSources').filter(h => h !== hash);
+            if (this.isSourceEnabled(source)) disabled.push(hash);
+            this.settings.set('disabledSources', disabled);
+            this.applyLibrary();
+        } else if (action === 'remove') {
+            await this.questionBank.delete(hash);
+            this.library = this.library.filter(s => s.hash !== hash);
+            this.settings.set('disabledSources', this.settings.get('disabledSources').filter(h => h !== hash));
+            this.applyLibrary();
+        }
+    }
+
+    /**
+     * List merged duplicates with their sources, and look-alikes kept apart
+     * because their answers differ
+     */
+    renderDuplicates() {
+        const { groups, conflicts } = this.duplicateReport;
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+        const copies = groups.reduce((sum, group) => sum + group.members.length - 1, 0);
+
+        document.getElementById('duplicatesPanel').style.display =
+            groups.length + conflicts.length > 0 ? 'block' : 'none';
+        document.getElementById('duplicatesSummary').textContent =
+            `${copies} duplicate${copies === 1 ? '' : 's'} merged into ${groups.length} question${groups.length === 1 ? '' : 's'}` +
+            (conflicts.length > 0 ? ` • ${conflicts.length} look-alike${conflicts.length === 1 ? '' : 's'} with different answers` : '');
+
+        const merges = groups.map(group => {
+            const members = group.members.map((member, i) => `
+                <div class="duplicate-member">
+                    <span>${escape(member.source)} Q${member.number}</span>
+                    ${i === 0
+                        ? '<span class="duplicate-similarity">kept</span>'
+                        : member.id === group.id
+                        ? '<span class="duplicate-similarity">identical</span>'
+                        : `<span class="duplicate-similarity">${Math.round(member.similarity * 100)}% match</span>
+                           <button class="btn btn-outline btn-sm" data-pair="${escape(this.duplicateDetector.getPairKey(group.id, member.id))}">Keep separate</button>`}
+                </div>
+            `).join('');
+            return `
+                <details class="duplicate-group">
+                    <summary>${escape(group.question)} <span class="duplicate-count">${group.members.length} sources</span></summary>
+                    ${members}
+                </details>
+            `;
+        });
+        const lookAlikes = conflicts.map(conflict => `
+            <div class="duplicate-group duplicate-conflict">
+                <span>${escape(conflict.question)}</span>
+                <span class="duplicate-similarity">${conflict.sources.map(escape).join(' and ')} • ${escape(conflict.reason)}, kept separate</span>
+            </div>
+        `);
+
+        document.getElementById('duplicatesList').innerHTML = [...merges, ...lookAlikes].join('');
+    }
+
+    /**
+     * Fill the quiz topic choice and list each topic's questions and results
+     * over the saved attempts
+     */
+    renderTopics() {
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+        const stats = this.topicTagger.getStats(this.questions, this.scoreTracker.getAllAttempts());
+        const untagged = this.questions.filter(q => q.tags.length === 0).length;
+
+        document.getElementById('topicsPanel').style.display = stats.length > 0 ? 'block' : 'none';
+        if (!stats.some(entry => entry.topic === this.settings.get('topicFilter'))) {
+            this.settings.set('topicFilter', '');
+        }
+        this.fillTopicSelect(document.getElementById('topicSelect'), 'All topics');
+        document.getElementById('topicSelect').value = this.settings.get('topicFilter');
+
+        document.getElementById('topicsList').innerHTML = stats.map(entry => `
+            <div class="topic-row">
+                <span class="topic-name">${escape(entry.topic)}</span>
+                <span class="topic-meta">${entry.questions} question${entry.questions === 1 ? '' : 's'}${entry.answered > 0 ? ` • ${entry.correct}/${entry.answered} correct` : ''}</span>
+                <span class="topic-bar" style="--progress: ${entry.accuracy || 0}%"></span>
+                <span class="topic-accuracy">${entry.accuracy !== null ? `${entry.accuracy}%` : '--'}</span>
+            </div>
+        `).join('') + (untagged > 0 ? `<p class="duplicates-summary">${untagged} question${untagged === 1 ? ' has' : 's have'} no topic - tag them under Edit Questions</p>` : '');
+    }
+
+    /**
+     * Fill a topic filter with the topics in use, keeping its selection
+     */
+    fillTopicSelect(select, allLabel) {
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+        const topics = this.topicTagger.getTopics(this.questions);
+        const selected = select.value;
+
+        select.innerHTML = `<option value="">${allLabel}</option>` + topics
+            .map(({ topic, count }) => `<option value="${escape(topic)}">${escape(topic)} (${count})</option>`)
+            .join('');
+        if (topics.some(({ topic }) => topic === selected)) select.value = selected;
+    }
+
+    /**
+     * Save the user's tags for a question; an empty list goes back to the
+     * detected topics
+     */
+    setQuestionTags(id, tags) {
+        const questionTags = { ...this.settings.get('questionTags') };
+        if (tags.length > 0) {
+            questionTags[id] = tags;
+        } else {
+            delete questionTags[id];
+        }
+        this.settings.set('questionTags', questionTags);
+    }
+
+    /**
+     * Fill the export panel's source and format choices, keeping the current selection
+     */
+    renderExportPanel() {
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+        const sourceSelect = document.getElementById('exportSourceSelect');
+        const formatSelect = document.getElementById('exportFormatSelect');
+        const selected = sourceSelect.value;
+        this.fillTopicSelect(document.getElementById('exportTopicSelect'), 'All topics');
+
+        document.getElementById('exportPanel').style.display = this.questions.length > 0 ? 'block' : 'none';
+        sourceSelect.innerHTML = '<option value="">All sources</option>' + this.library
+            .map(source => `<option value="${escape(source.name)}">${escape(this.pdfParser.stripTimestamp(source.name))}</option>`)
+            .join('');
+        if (this.library.some(source => source.name === selected)) sourceSelect.value = selected;
+
+        if (!formatSelect.options.length) {
+            formatSelect.innerHTML = Object.entries(this.questionExporter.formats)
+                .map(([value, format]) => `<option value="${value}">${format.label}</option>`)
+                .join('');
+        }
+        this.updateExportCount();
+    }
+
+    /**
+     * Questions matching the filters: { source, topic, status: 'all' | 'answered' | 'missing' | 'edited', search }
+     */
+    filterQuestions({ source = '', topic = '', status = 'all', search = '' } = {}) {
+        const needle = search.trim().toLowerCase();
+
+        return this.questions.filter(question => {
+            if (source && !(question.sources || [question]).some(s => s.source === source)) return false;
+            if (topic && !question.tags.includes(topic)) return false;
+            if (status === 'answered' && question.answer === null) return false;
+            if (status === 'missing' && question.answer !== null) return false;
+            if (status === 'edited' && !question.edited) return false;
+            if (needle) {
+                const text = [question.question, question.code, question.explanation, ...question.options.map(opt => this.pdfParser.unescapeHtml(opt.text))]
+                    .join(' ')
+                    .toLowerCase();
+                if (!text.includes(needle)) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Questions picked by the export panel's filters
+     */
+    getExportQuestions() {
+        return this.filterQuestions({
+            source: document.getElementById('exportSourceSelect').value,
+            topic: document.getElementById('exportTopicSelect').value,
+            status: document.getElementById('exportStatusSelect').value,
+            search: document.getElementById('exportSearchInput').value
+        });
+    }
+
+    /**
+     * Show how many questions the export would include
+     */
+    updateExportCount() {
+        const count = this.getExportQuestions().length;
+        document.getElementById('exportCount').textContent = `${count} question${count === 1 ? '' : 's'}`;
+        document.getElementById('exportBtn').disabled = count === 0;
+    }
+
+    /**
+     * Download the filtered questions in the chosen format
+     */
+    exportQuestions() {
+        const questions = this.getExportQuestions();
+        if (questions.length === 0) return;
+
+        const { content, fileName, mimeType } = this.questionExporter.export(
+            questions,
+            document.getElementById('exportFormatSelect').value
+        );
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Stop merging a pair of questions the detector took for duplicates
+     */
+    keepSeparate(pairKey) {
+        this.settings.set('keepSeparate', [...this.settings.get('keepSeparate'), pairKey]);
+        this.applyLibrary();
+    }
+
+    /**
+     * Rebuild a file from the copy saved with a source
+     */
+    getSourceFile(source) {
+        return new File([source.file], source.name, { type: source.file.type || 'application/pdf' });
+    }
+
+    /**
+     * Update the loaded question count and start button for the current settings
+     * Returns the number of playable questions
+     */
+    updateQuestionCount() {
+        const includeUnscored = this.settings.get('includeUnscored');
+        const playable = this.pdfParser.getPlayableQuestions(includeUnscored, this.settings.get('topicFilter')).length;
+        const missing = this.questions.filter(q => q.answerConfidence === 'missing').length;
+
+        document.getElementById('totalQuestions').textContent = playable;
+        const unscoredNote = document.getElementById('unscoredNote');
+        if (missing > 0) {
+            unscoredNote.textContent = includeUnscored
+                ? ` (${missing} without an answer key, played unscored)`
+                : ` (${missing} without an answer key excluded)`;
+        } else {
+            unscoredNote.textContent = '';
+        }
+
+        document.getElementById('startBtn').disabled = playable < this.QUESTIONS_PER_ROUND;
+        return playable;
+    }
+
+    /**
+     * Render per-file parse reports in the diagnostics panel
+     */
+    renderDiagnostics() {
+        const panel = document.getElementById('diagnosticsPanel');
+        const list = document.getElementById('diagnosticsList');
+        const reports = this.pdfParser.getReports();
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+
+        list.innerHTML = '';
+        panel.style.display = reports.length > 0 ? 'block' : 'none';
+
+        reports.forEach(report => {
+            const rejected = report.blocks.filter(b => b.status === 'rejected');
+            const file = document.createElement('details');
+            file.className = 'diagnostics-file';
+
+            let summary = `${report.questionCount} parsed • ${rejected.length} rejected`;
+            if (report.missingAnswers > 0) summary += ` • ${report.missingAnswers} no key`;
+            if (report.missingFigures > 0) summary += ` • ${report.missingFigures} missing figure${report.missingFigures === 1 ? '' : 's'}`;
+            const strippedCount = report.stripped.reduce((sum, s) => sum + s.count, 0);
+            if (strippedCount > 0) summary += ` • ${strippedCount} stripped`;
+            if (report.answerKey) summary += ` • key table ${report.answerKey.applied}/${report.answerKey.entries}`;
+            if (report.fallback) summary += ' • flexible fallback';
+            if (report.scannedPages > 0) {
+                summary += report.ocrPages > 0
+                    ? ` • ${report.ocrPages}/${report.scannedPages} scanned pages read by OCR`
+                    : ` • ${report.scannedPages} scanned pages, OCR unavailable`;
+            }
+            if (report.error) summary = `Error: ${escape(report.error)}`;
+
+            const rows = report.blocks.map(block => `
+                <div class="diagnostics-block ${block.status}">
+                    <span class="diagnostics-num">${block.number !== null ? `Q${block.number}` : '?'}</span>
+                    <span class="diagnostics-detail">
+                        <span class="diagnostics-outcome">${block.status === 'parsed' ? escape(block.strategy) : escape(block.reason)}</span>
+                        ${block.status === 'parsed' && block.reason ? `<span class="diagnostics-warning">${escape(block.reason)}</span>` : ''}
+                        <span class="diagnostics-preview">${escape(block.preview)}</span>
+                    </span>
+                </div>
+            `).join('');
+
+            const stripped = report.stripped
+                .map(s => `<code>${escape(s.text)}</code>${s.count > 1 ? ` ×${s.count}` : ''}`)
+                .join(', ');
+            const patterns = (this.settings.get('stripPatterns')[report.source] || [])
+                .map((pattern, i) => `
+                    <span class="strip-pattern">
+                        <code>${escape(pattern)}</code>
+                        <button class="strip-pattern-remove" data-pattern-index="${i}" title="Remove pattern">&times;</button>
+                    </span>
+                `).join('');
+
+            file.innerHTML = `
+                <summary>
+                    <span class="diagnostics-source">${escape(report.source)}</span>
+                    <span class="diagnostics-summary">${summary}</span>
+                </summary>
+                <div class="diagnostics-strip">
+                    ${stripped ? `<p class="diagnostics-stripped">Removed as header, footer or watermark: ${stripped}</p>` : ''}
+                    <div class="strip-patterns">${patterns}</div>
+                    <div class="strip-form">
+                        <input type="text" class="settings-input strip-pattern-input" placeholder="Also strip text matching (regex), e.g. Downloaded from \\S+">
+                        <button class="btn btn-outline btn-sm strip-pattern-add">Add</button>
+                    </div>
+                </div>
+                <div class="diagnostics-blocks">${rows || '<p class="diagnostics-empty">No question blocks found</p>'}</div>
+            `;
+
+            file.querySelector('.strip-pattern-add').addEventListener('click', () => {
+                const input = file.querySelector('.strip-pattern-input');
+                if (input.value.trim()) this.updateStripPatterns(report.source, patterns => [...patterns, input.value]);
+            });
+            file.querySelectorAll('.strip-pattern-remove').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const index = Number(btn.dataset.patternIndex);
+                    this.updateStripPatterns(report.source, patterns => patterns.filter((_, i) => i !== index));
+                });
+            });
+            list.appendChild(file);
+        });
+    }
+
+    /**
+     * Change the strip patterns of one source and persist them.
+     * They apply the next time the PDFs are loaded or the source is re-parsed.
+     */
+    updateStripPatterns(source, update) {
+        const all = { ...this.settings.get('stripPatterns') };
+        const patterns = update(all[source] || []);
+        if (patterns.length > 0) {
+            all[source] = patterns;
+        } else {
+            delete all[source];
+        }
+
+        this.settings.set('stripPatterns', all);
+        this.pdfParser.setStripPatterns(all);
+        this.renderDiagnostics();
+        this.openDiagnostics(source);
+    }
+
+    /**
+     * Expand the diagnostics entry of a source
+     */
+    openDiagnostics(source) {
+        const index = this.pdfParser.getReports().findIndex(r => r.source === source);
+        const entry = document.querySelectorAll('#diagnosticsList .diagnostics-file')[index];
+        if (entry) entry.open = true;
+    }
+
+    /**
+     * Show an empty progress bar for each PDF being parsed
+     */
+    showParseProgress(files) {
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+
+        document.getElementById('parseProgressFiles').innerHTML = files.map((file, i) => `
+            <div class="parse-file" data-file-index="${i}">
+                <span class="parse-file-name">${escape(file.name)}</span>
+                <div class="progress-bar"></div>
+                <span class="parse-file-status">Waiting</span>
+            </div>
+        `).join('');
+        document.getElementById('parseProgress').style.display = 'flex';
+    }
+
+    /**
+     * Move a file's progress bar on a per-page or per-file update from the parser
+     */
+    updateParseProgress({ index, page, pages, status }) {
+        const row = document.querySelector(`#parseProgressFiles [data-file-index="${index}"]`);
+        if (!row) return;
+
+        const bar = row.querySelector('.progress-bar');
+        const label = row.querySelector('.parse-file-status');
+        row.classList.toggle('failed', status === 'error');
+
+        if (status === 'parsing') {
+            bar.style.setProperty('--progress', `${Math.round((page / pages) * 100)}%`);
+            label.textContent = `Page ${page} of ${pages}`;
+        } else {
+            bar.style.setProperty('--progress', '100%');
+            label.textContent = status === 'done' ? 'Done' : 'Failed';
+        }
+    }
+
     /**
      * Refresh questions (reload PDFs)
      */
@@ -443,8 +1364,10 @@ class QuizApp {
     startQuiz() {
         this.currentRound = 1;
         this.roundScores = [0, 0, 0];
+        this.roundScoredCounts = [0, 0, 0];
         this.roundTimes = [0, 0, 0];
         this.usedQuestionIds = [];
+        this.responses = [];
         
         // Start total timer
         this.totalStartTime = Date.now();
@@ -462,15 +1385,19 @@ class QuizApp {
         this.roundStartTime = Date.now();
         this.roundQuestions = this.pdfParser.getRandomQuestions(
             this.QUESTIONS_PER_ROUND,
-            this.usedQuestionIds
+            this.usedQuestionIds,
+            this.settings.get('includeUnscored'),
+            this.settings.get('topicFilter')
         );
+        this.roundScoredCounts[this.currentRound - 1] =
+            this.roundQuestions.filter(q => !this.isUnscored(q)).length;
 
         // Mark these questions as used
         this.roundQuestions.forEach(q => this.usedQuestionIds.push(q.id));
 
         // Update UI
         document.getElementById('currentRound').textContent = this.currentRound;
-        document.getElementById('currentScore').textContent = this.getTotalScore();
+        document.getElementById('currentScore').textContent = this.formatScore(this.getTotalScore());
 
         // Update previous accuracy display
         const stats = this.scoreTracker.getStats();
@@ -484,7 +1411,30 @@ class QuizApp {
      * Get total score across all rounds
      */
     getTotalScore() {
-        return this.roundScores.reduce((a, b) => a + b, 0);
+        const total = this.roundScores.reduce((a, b) => a + b, 0);
+        // Partial credit leaves fractions - keep float noise out of stored scores
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Format a score that may include partial credit
+     */
+    formatScore(score) {
+        return Number.isInteger(score) ? score.toString() : score.toFixed(2).replace(/0$/, '');
+    }
+
+    /**
+     * Get the number of scored questions across all rounds
+     */
+    getTotalScoredCount() {
+        return this.roundScoredCounts.reduce((a, b) => a + b, 0);
+    }
+
+    /**
+     * Check whether a question is played without scoring (no answer key)
+     */
+    isUnscored(question) {
+        return question.answerConfidence === 'missing';
     }
 
     /**
@@ -495,6 +1445,7 @@ class QuizApp {
         if (!question) return;
 
         this.selectedAnswer = null;
+        this.selectedLetters = [];
         this.isAnswered = false;
         
         // Start question timer
@@ -504,10 +1455,39 @@ class QuizApp {
 
         // Update question display
         const questionNum = this.currentQuestionIndex + 1;
-        const roundOffset = (this.currentRound - 1) * this.QUESTIONS_PER_ROUND;
 
         document.getElementById('questionNumber').textContent = `Q${questionNum}`;
-        document.getElementById('questionText').textContent = question.question;
+        document.getElementById('unscoredBadge').style.display = this.isUnscored(question) ? 'inline-flex' : 'none';
+        document.getElementById('styleAnswerBadge').style.display = question.answerConfidence === 'style' ? 'inline-flex' : 'none';
+
+        const multiple = question.type === 'multiple';
+        const submitBtn = document.getElementById('submitAnswerBtn');
+        document.getElementById('multiSelectBadge').style.display = multiple ? 'inline-flex' : 'none';
+
+        const ocrLevel = this.pdfParser.getOcrLevel(question);
+        const ocrBadge = document.getElementById('ocrBadge');
+        ocrBadge.style.display = ocrLevel ? 'inline-flex' : 'none';
+        ocrBadge.className = `question-badge ocr ${ocrLevel || ''}`;
+        ocrBadge.textContent = `OCR · ${ocrLevel} confidence`;
+        ocrBadge.title = ocrLevel ? `Read from a scanned page (${question.ocrConfidence}% OCR confidence) - check it against the source` : '';
+        submitBtn.style.display = multiple ? 'inline-flex' : 'none';
+        submitBtn.disabled = true;
+
+        document.getElementById('explanationPanel').style.display = 'none';
+        document.getElementById('nextQuestionBtn').style.display = 'none';
+        document.getElementById('skipBtn').style.display = 'inline-flex';
+        document.getElementById('questionText').innerHTML = this.mathRenderer.render(question.question);
+
+        const codeBlock = document.getElementById('questionCode');
+        codeBlock.style.display = question.code ? 'block' : 'none';
+        codeBlock.firstElementChild.innerHTML = question.code ? this.codeHighlighter.highlight(question.code) : '';
+
+        const figures = question.figures || [];
+        const figureContainer = document.getElementById('questionFigures');
+        figureContainer.style.display = figures.length > 0 ? 'flex' : 'none';
+        figureContainer.innerHTML = figures
+            .map((figure, i) => `<img src="${figure.image}" alt="Figure ${i + 1} for this question" class="question-figure">`)
+            .join('');
         document.getElementById('questionTime').textContent = '0s';
 
         // Update progress
@@ -515,8 +1495,13 @@ class QuizApp {
         document.getElementById('progressBar').style.setProperty('--progress', `${progress}%`);
         document.getElementById('progressText').textContent = `${questionNum} / ${this.QUESTIONS_PER_ROUND}`;
 
-        // Update current accuracy
-        const totalAnswered = roundOffset + this.currentQuestionIndex;
+        // Update current accuracy (unscored questions don't count)
+        const previousRoundsScored = this.roundScoredCounts
+            .slice(0, this.currentRound - 1)
+            .reduce((a, b) => a + b, 0);
+        const totalAnswered = previousRoundsScored + this.roundQuestions
+            .slice(0, this.currentQuestionIndex)
+            .filter(q => !this.isUnscored(q)).length;
         const totalCorrect = this.getTotalScore();
         const accuracy = totalAnswered > 0 ? Math.round((totalCorrect / totalAnswered) * 100) : 0;
         document.getElementById('currAccuracy').textContent = `${accuracy}%`;
@@ -532,18 +1517,18 @@ class QuizApp {
         const container = document.getElementById('optionsContainer');
         container.innerHTML = '';
 
-        const letters = ['A', 'B', 'C', 'D'];
-
-        letters.forEach(letter => {
+        question.options.forEach(({ letter, text }) => {
             const option = document.createElement('div');
             option.className = 'option';
             option.dataset.letter = letter;
             option.innerHTML = `
                 <span class="option-letter">${letter}</span>
-                <span class="option-text">${question.options[letter]}</span>
+                <span class="option-text">${this.mathRenderer.render(this.pdfParser.unescapeHtml(text))}</span>
             `;
 
-            option.addEventListener('click', () => this.selectOption(letter, question));
+            option.addEventListener('click', () => question.type === 'multiple'
+                ? this.toggleOption(letter, option)
+                : this.selectOption(letter, question));
             container.appendChild(option);
         });
     }
@@ -556,8 +1541,21 @@ class QuizApp {
 
         this.isAnswered = true;
         this.selectedAnswer = letter;
+        this.recordResponse(question, letter);
 
         const options = document.querySelectorAll('.option');
+
+        // Without an answer key there is nothing to mark - just record the choice
+        if (this.isUnscored(question)) {
+            options.forEach(opt => {
+                opt.style.pointerEvents = 'none';
+                if (opt.dataset.letter === letter) opt.classList.add('selected');
+            });
+            this.stopQuestionTimer();
+            this.finishQuestion(question);
+            return;
+        }
+
         options.forEach(opt => {
             const optLetter = opt.dataset.letter;
             opt.style.pointerEvents = 'none';
@@ -577,14 +1575,99 @@ class QuizApp {
         // Update score if correct
         if (letter === question.answer) {
             this.roundScores[this.currentRound - 1]++;
-            document.getElementById('currentScore').textContent = this.getTotalScore();
+            document.getElementById('currentScore').textContent = this.formatScore(this.getTotalScore());
         }
         
         // Stop question timer
         this.stopQuestionTimer();
 
-        // Move to next question after delay
-        setTimeout(() => this.nextQuestion(), 800);
+        this.finishQuestion(question);
+    }
+
+    /**
+     * After answering, show the explanation and wait for "Next", or move on
+     * after a short delay when there is nothing to read
+     */
+    finishQuestion(question) {
+        if (!question.explanation) {
+            setTimeout(() => this.nextQuestion(), 800);
+            return;
+        }
+
+        const panel = document.getElementById('explanationPanel');
+        document.getElementById('explanationText').innerHTML = this.mathRenderer.render(question.explanation);
+        panel.style.display = 'block';
+        panel.open = true;
+
+        document.getElementById('skipBtn').style.display = 'none';
+        document.getElementById('nextQuestionBtn').style.display = 'inline-flex';
+    }
+
+    /**
+     * Toggle an option of a multi-select question
+     */
+    toggleOption(letter, optionEl) {
+        if (this.isAnswered) return;
+
+        if (this.selectedLetters.includes(letter)) {
+            this.selectedLetters = this.selectedLetters.filter(l => l !== letter);
+            optionEl.classList.remove('selected');
+        } else {
+            this.selectedLetters.push(letter);
+            optionEl.classList.add('selected');
+        }
+
+        document.getElementById('submitAnswerBtn').disabled = this.selectedLetters.length === 0;
+    }
+
+    /**
+     * Submit the selected options of a multi-select question
+     */
+    submitMultiSelect() {
+        const question = this.roundQuestions[this.currentQuestionIndex];
+        if (this.isAnswered || !question || this.selectedLetters.length === 0) return;
+
+        this.isAnswered = true;
+        const selected = [...this.selectedLetters].sort();
+        this.recordResponse(question, selected);
+        document.getElementById('submitAnswerBtn').disabled = true;
+
+        const unscored = this.isUnscored(question);
+        document.querySelectorAll('.option').forEach(opt => {
+            const optLetter = opt.dataset.letter;
+            opt.style.pointerEvents = 'none';
+            if (unscored) return;
+
+            if (question.answer.includes(optLetter)) {
+                opt.classList.add('correct');
+            } else if (selected.includes(optLetter)) {
+                opt.classList.add('incorrect');
+            }
+        });
+
+        if (!unscored) {
+            const credit = this.scoreMultiSelect(question, selected);
+            const round = this.currentRound - 1;
+            this.roundScores[round] = Math.round((this.roundScores[round] + credit) * 100) / 100;
+            document.getElementById('currentScore').textContent = this.formatScore(this.getTotalScore());
+        }
+
+        this.stopQuestionTimer();
+        this.finishQuestion(question);
+    }
+
+    /**
+     * Score a multi-select answer: all-or-nothing, or partial credit where
+     * each wrong pick cancels a right one
+     */
+    scoreMultiSelect(question, selected) {
+        const hits = selected.filter(letter => question.answer.includes(letter)).length;
+        const misses = selected.length - hits;
+
+        if (this.settings.get('multiSelectScoring') === 'partial') {
+            return Math.max(0, (hits - misses) / question.answer.length);
+        }
+        return hits === question.answer.length && misses === 0 ? 1 : 0;
     }
 
     /**
@@ -592,10 +1675,23 @@ class QuizApp {
      */
     skipQuestion() {
         if (this.isAnswered) return;
+        this.recordResponse(this.roundQuestions[this.currentQuestionIndex], null);
         this.stopQuestionTimer();
         this.nextQuestion();
     }
 
+    /**
+     * Remember what was chosen for a question so it is stored with the attempt
+     */
+    recordResponse(question, letter) {
+        this.responses.push({
+            id: question.id,
+            selected: letter,
+            answer: question.answer,
+            scored: !this.isUnscored(question)
+        });
+    }
+
     /**
      * Move to next question
      */
@@ -617,11 +1713,12 @@ class QuizApp {
         this.roundTimes[this.currentRound - 1] = Date.now() - this.roundStartTime;
         
         const roundScore = this.roundScores[this.currentRound - 1];
-        const roundAccuracy = Math.round((roundScore / this.QUESTIONS_PER_ROUND) * 100);
+        const roundScored = this.roundScoredCounts[this.currentRound - 1];
+        const roundAccuracy = roundScored > 0 ? Math.round((roundScore / roundScored) * 100) : 0;
         const roundTime = this.formatTime(this.roundTimes[this.currentRound - 1]);
 
         document.getElementById('completedRound').textContent = this.currentRound;
-        document.getElementById('roundScore').textContent = `${roundScore}/${this.QUESTIONS_PER_ROUND}`;
+        document.getElementById('roundScore').textContent = `${this.formatScore(roundScore)}/${roundScored}`;
         document.getElementById('roundAccuracy').textContent = `${roundAccuracy}%`;
         document.getElementById('roundTime').textContent = roundTime;
 
@@ -676,15 +1773,18 @@ class QuizApp {
         this.stopTotalTimer();
         
         const totalScore = this.getTotalScore();
-        const totalQuestions = this.QUESTIONS_PER_ROUND * this.TOTAL_ROUNDS;
-        const accuracy = Math.round((totalScore / totalQuestions) * 100);
+        const totalQuestions = this.getTotalScoredCount();
+        const unscoredCount = this.QUESTIONS_PER_ROUND * this.TOTAL_ROUNDS - totalQuestions;
+        const accuracy = totalQuestions > 0 ? Math.round((totalScore / totalQuestions) * 100) : 0;
         const totalTime = Date.now() - this.totalStartTime;
 
         // Record attempt
-        await this.scoreTracker.recordAttempt(this.roundScores, totalScore, totalQuestions);
+        await this.scoreTracker.recordAttempt(
+            this.roundScores, totalScore, totalQuestions, unscoredCount, this.responses
+        );
 
         // Update results display
-        document.getElementById('finalScore').textContent = totalScore;
+        document.getElementById('finalScore').textContent = this.formatScore(totalScore);
         document.getElementById('totalPossible').textContent = totalQuestions;
         document.getElementById('finalAccuracy').textContent = `${accuracy}% Accuracy`;
         document.getElementById('finalTime').textContent = this.formatTime(totalTime);
@@ -694,13 +1794,14 @@ class QuizApp {
         breakdownList.innerHTML = '';
 
         for (let i = 0; i < this.TOTAL_ROUNDS; i++) {
-            const roundAcc = Math.round((this.roundScores[i] / this.QUESTIONS_PER_ROUND) * 100);
+            const roundScored = this.roundScoredCounts[i];
+            const roundAcc = roundScored > 0 ? Math.round((this.roundScores[i] / roundScored) * 100) : 0;
             const roundTime = this.formatTime(this.roundTimes[i]);
             const item = document.createElement('div');
             item.className = 'breakdown-item';
             item.innerHTML = `
                 <span class="breakdown-round">Round ${i + 1}</span>
-                <span class="breakdown-score">${this.roundScores[i]}/${this.QUESTIONS_PER_ROUND} (${roundAcc}%) • ${roundTime}</span>
+                <span class="breakdown-score">${this.formatScore(this.roundScores[i])}/${roundScored} (${roundAcc}%) • ${roundTime}</span>
             `;
             breakdownList.appendChild(item);
         }
@@ -754,6 +1855,7 @@ class QuizApp {
         document.getElementById('nextRoundBtn').style.display = 'inline-flex';
 
         this.updateStatsDisplay();
+        this.renderTopics();
         this.showScreen('landing');
     }
 
@@ -766,7 +1868,222 @@ class QuizApp {
         });
         document.getElementById(screenId).classList.add('active');
     }
-    
+
+    // ========================================
+    // QUESTION EDITOR METHODS
+    // ========================================
+
+    /**
+     * Show the question editor screen
+     */
+    openEditor() {
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+        const sourceSelect = document.getElementById('editorSourceSelect');
+        const sources = [...new Set(this.questions.flatMap(q => (q.sources || [q]).map(s => s.source)))];
+        const selected = sourceSelect.value;
+
+        sourceSelect.innerHTML = '<option value="">All sources</option>' + sources
+            .map(source => `<option value="${escape(source)}">${escape(this.pdfParser.stripTimestamp(source))}</option>`)
+            .join('');
+        if (sources.includes(selected)) sourceSelect.value = selected;
+        this.fillTopicSelect(document.getElementById('editorTopicSelect'), 'All topics');
+
+        this.closeEditorForm();
+        this.renderEditorList();
+        this.showScreen('editor');
+    }
+
+    /**
+     * List the questions matching the editor's search and filters
+     */
+    renderEditorList() {
+        const escape = (text) => this.pdfParser.escapeHtml(String(text));
+        const status = document.getElementById('editorStatusSelect').value;
+        const source = document.getElementById('editorSourceSelect').value;
+        const topic = document.getElementById('editorTopicSelect').value;
+        const search = document.getElementById('editorSearchInput').value;
+
+        let rows;
+        if (status === 'deleted') {
+            const deleted = this.questionOverrides.getDeleted()
+                .filter(override => !source || override.source === source)
+                .filter(override => override.question.question.toLowerCase().includes(search.trim().toLowerCase()));
+            rows = deleted.map(override => `
+                <div class="editor-item">
+                    <div class="editor-item-text">
+                        <span class="library-meta">${escape(this.pdfParser.stripTimestamp(override.source))} Q${override.number}</span>
+                        <span>${escape(override.question.question)}</span>
+                    </div>
+                    <button class="btn btn-outline btn-sm" data-restore="${escape(override.id)}">Restore</button>
+                </div>
+            `);
+        } else {
+            rows = this.filterQuestions({ source, topic, status, search }).map(question => {
+                const badges = question.tags.map(tag => escape(tag));
+                if (question.edited === 'add') badges.push('added');
+                if (question.edited === 'edit') badges.push('edited');
+                if (question.answer === null) badges.push('no answer key');
+                return `
+                    <div class="editor-item">
+                        <div class="editor-item-text">
+                            <span class="library-meta">${escape(this.pdfParser.stripTimestamp(question.source))} Q${question.number}${badges.map(b => ` • ${b}`).join('')}</span>
+                            <span>${escape(question.question)}</span>
+                        </div>
+                        <button class="btn btn-outline btn-sm" data-edit="${escape(question.id)}">Edit</button>
+                    </div>
+                `;
+            });
+        }
+
+        document.getElementById('editorCount').textContent = `${rows.length} question${rows.length === 1 ? '' : 's'}`;
+        document.getElementById('editorList').innerHTML = rows.join('');
+    }
+
+    /**
+     * Open the edit form for a question, or an empty one to add a question
+     */
+    openEditorForm(question) {
+        const fields = question
+            ? this.questionOverrides.getFields(question)
+            : { question: '', code: null, options: ['', '', '', ''], answer: null, explanation: null };
+        const answer = Array.isArray(fields.answer) ? fields.answer : [fields.answer];
+        const override = question ? this.questionOverrides.get(question.id) : null;
+
+        this.editingQuestion = question;
+        document.getElementById('editorFormTitle').textContent = question
+            ? `Edit ${this.pdfParser.stripTimestamp(question.source)} Q${question.number}`
+            : 'Add Question';
+        document.getElementById('editorQuestionInput').value = fields.question;
+        document.getElementById('editorCodeInput').value = fields.code || '';
+        document.getElementById('editorExplanationInput').value = fields.explanation || '';
+        document.getElementById('editorTopicsInput').value = question ? question.tags.join(', ') : '';
+        document.getElementById('editorError').textContent = '';
+        document.getElementById('editorOptions').innerHTML = '';
+        fields.options.forEach((text, i) => this.addEditorOption(text, answer.includes(String.fromCharCode(65 + i))));
+
+        document.getElementById('editorRevertBtn').style.display = override && override.kind === 'edit' ? '' : 'none';
+        document.getElementById('editorDeleteBtn').style.display = question ? '' : 'none';
+        const form = document.getElementById('editorForm');
+        form.style.display = 'block';
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Add an option row to the edit form
+     */
+    addEditorOption(text, correct) {
+        const row = document.createElement('div');
+        row.className = 'editor-option';
+        row.innerHTML = `
+            <input type="checkbox" class="editor-option-correct" title="Correct answer" ${correct ? 'checked' : ''}>
+            <input type="text" class="settings-input editor-option-text" placeholder="Option text">
+            <button type="button" class="strip-pattern-remove editor-option-remove" title="Remove option">&times;</button>
+        `;
+        row.querySelector('.editor-option-text').value = text;
+        document.getElementById('editorOptions').appendChild(row);
+    }
+
+    /**
+     * Hide the edit form
+     */
+    closeEditorForm() {
+        this.editingQuestion = null;
+        document.getElementById('editorForm').style.display = 'none';
+    }
+
+    /**
+     * Read and check the edit form. Returns the question fields, or null after
+     * showing what is wrong.
+     */
+    readEditorForm() {
+        const rows = [...document.querySelectorAll('#editorOptions .editor-option')]
+            .map(row => ({
+                text: row.querySelector('.editor-option-text').value.trim(),
+                correct: row.querySelector('.editor-option-correct').checked
+            }))
+            .filter(row => row.text);
+        const question = document.getElementById('editorQuestionInput').value.trim();
+        const error = !question ? 'Enter the question text.'
+            : rows.length < 2 ? 'Enter at least two options.'
+            : rows.length > 6 ? 'A question can have at most six options.'
+            : null;
+        document.getElementById('editorError').textContent = error || '';
+        if (error) return null;
+
+        const letters = rows
+            .map((row, i) => (row.correct ? String.fromCharCode(65 + i) : null))
+            .filter(Boolean);
+        const multiple = letters.length > 1 || this.pdfParser.isMultiSelectPrompt(question);
+
+        return {
+            type: multiple ? 'multiple' : 'single',
+            question: question,
+            code: document.getElementById('editorCodeInput').value.replace(/^\n+|\s+$/g, '') || null,
+            options: rows.map(row => row.text),
+            answer: letters.length === 0 ? null : multiple ? letters : letters[0],
+            explanation: document.getElementById('editorExplanationInput').value.trim() || null
+        };
+    }
+
+    /**
+     * Save the edit form as an override and refresh the bank. Topics are saved
+     * as the user's tags when they differ from the detected ones; changing only
+     * the topics doesn't mark the question as edited.
+     */
+    async saveEditorForm() {
+        const fields = this.readEditorForm();
+        if (!fields) return;
+        const tags = this.topicTagger.parseTags(document.getElementById('editorTopicsInput').value);
+
+        const question = this.editingQuestion;
+        if (question) {
+            const unchanged = JSON.stringify(fields) === JSON.stringify(this.questionOverrides.getFields(question));
+            if (!unchanged) await this.questionOverrides.saveEdit(question, fields);
+            if (question.tagSource === 'manual' || tags.join('|') !== question.tags.join('|')) {
+                this.setQuestionTags(question.id, tags);
+            }
+        } else {
+            const id = await this.questionOverrides.add(fields);
+            if (tags.length > 0) this.setQuestionTags(id, tags);
+        }
+        this.refreshEditor();
+    }
+
+    /**
+     * Delete the question being edited
+     */
+    async deleteEditingQuestion() {
+        if (!this.editingQuestion) return;
+        await this.questionOverrides.delete(this.editingQuestion);
+        this.refreshEditor();
+    }
+
+    /**
+     * Drop the edits of the question being edited
+     */
+    async revertEditingQuestion() {
+        if (!this.editingQuestion) return;
+        await this.questionOverrides.revert(this.editingQuestion.id);
+        this.refreshEditor();
+    }
+
+    /**
+     * Bring back a deleted question
+     */
+    async restoreQuestion(id) {
+        await this.questionOverrides.revert(id);
+        this.refreshEditor();
+    }
+
+    /**
+     * Apply changed overrides to the bank and show the list again
+     */
+    refreshEditor() {
+        this.closeEditorForm();
+        this.applyLibrary();
+        this.renderEditorList();
+    }
+
     // ========================================
     // TIMER METHODS
     // ========================================
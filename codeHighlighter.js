@@ -0,0 +1,82 @@
+/**
+ * Code Highlighter Module
+ * Lightweight syntax highlighting for the C, Java and Python snippets found in question sets
+ */
+
+class CodeHighlighter {
+    constructor() {
+        this.keywords = new Set([
+            // C / C++
+            'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double',
+            'else', 'enum', 'extern', 'float', 'for', 'goto', 'if', 'int', 'long', 'register',
+            'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef',
+            'union', 'unsigned', 'void', 'volatile', 'while', 'bool', 'true', 'false',
+            'class', 'new', 'delete', 'this', 'namespace', 'using', 'template', 'virtual',
+            // Java
+            'abstract', 'boolean', 'byte', 'catch', 'extends', 'final', 'finally',
+            'implements', 'import', 'instanceof', 'interface', 'native', 'null', 'package',
+            'private', 'protected', 'public', 'super', 'synchronized', 'throw', 'throws',
+            'try', 'String',
+            // Python
+            'def', 'elif', 'except', 'from', 'in', 'is', 'lambda', 'None', 'not', 'and',
+            'or', 'pass', 'print', 'raise', 'self', 'with', 'yield', 'True', 'False'
+        ]);
+
+        // One pass over the code: preprocessor lines, comments, strings, numbers, words
+        this.tokenRegex = new RegExp([
+            '(^[ \\t]*#[ \\t]*(?:include|define|ifdef|ifndef|endif|pragma)\\b[^\\n]*)',
+            '(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/|#[^\\n]*)',
+            '("(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\')',
+            '\\b(0[xX][\\da-fA-F]+|\\d+(?:\\.\\d+)?[fFlLuU]?)\\b',
+            '\\b([A-Za-z_]\\w*)\\b'
+        ].join('|'), 'gm');
+    }
+
+    /**
+     * Return the code as HTML with token spans, escaping everything else
+     */
+    highlight(code) {
+        let html = '';
+        let lastIndex = 0;
+        let match;
+
+        this.tokenRegex.lastIndex = 0;
+        while ((match = this.tokenRegex.exec(code)) !== null) {
+            html += this.escapeHtml(code.substring(lastIndex, match.index));
+            lastIndex = match.index + match[0].length;
+
+            const [token, preprocessor, comment, string, number, word] = match;
+            if (preprocessor) html += this.wrap('preprocessor', token);
+            else if (comment) html += this.wrap('comment', token);
+            else if (string) html += this.wrap('string', token);
+            else if (number) html += this.wrap('number', token);
+            else if (word && this.keywords.has(word)) html += this.wrap('keyword', token);
+            else if (word && code[lastIndex] === '(') html += this.wrap('function', token);
+            else html += this.escapeHtml(token);
+        }
+
+        return html + this.escapeHtml(code.substring(lastIndex));
+    }
+
+    /**
+     * Wrap a token in a span for its type
+     */
+    wrap(type, token) {
+        return `<span class="tok-${type}">${this.escapeHtml(token)}</span>`;
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in app.js
+window.CodeHighlighter = CodeHighlighter;
@@ -0,0 +1,232 @@
+/**
+ * Duplicate Detector Module
+ * Finds the same question across loaded sources and merges each set of copies
+ * into one canonical question that lists all of its sources
+ */
+
+class DuplicateDetector {
+    constructor() {
+        // Minimum trigram similarity of the question texts and of the option sets
+        this.questionThreshold = 0.9;
+        this.optionThreshold = 0.9;
+    }
+
+    /**
+     * Merge duplicates in a list of questions, keeping the first copy of each as
+     * the canonical one. keepSeparate holds pair keys (see getPairKey) the user
+     * has marked as different questions. Returns { questions, report } where the
+     * report is { groups, conflicts }:
+     *   groups:    [{ id, question, members: [{ id, source, number, similarity }] }]
+     *   conflicts: [{ ids, sources, question, reason }] - look alike but kept apart
+     */
+    merge(questions, keepSeparate = []) {
+        const separate = new Set(keepSeparate);
+        const canonicals = [];
+        const groups = new Map();
+        const conflicts = [];
+
+        for (const question of questions) {
+            const fingerprint = this.getFingerprint(question);
+            let match = null;
+
+            for (const canonical of canonicals) {
+                const similarity = this.compare(canonical.fingerprint, fingerprint);
+                if (similarity === null) continue;
+
+                // Identical copies share an ID, so they can't be told apart to keep them separate
+                const identical = canonical.question.id === question.id;
+                if (!identical && separate.has(this.getPairKey(canonical.question.id, question.id))) continue;
+                if (!this.sameAnswer(canonical.question, question)) {
+                    conflicts.push({
+                        ids: [canonical.question.id, question.id],
+                        sources: [this.describeSource(canonical.question), this.describeSource(question)],
+                        question: canonical.question.question,
+                        reason: 'different answers'
+                    });
+                    continue;
+                }
+                if (!match || similarity > match.similarity) match = { canonical, similarity };
+            }
+
+            if (match) {
+                this.absorb(match.canonical.question, question);
+                groups.get(match.canonical.question.id).members.push({
+                    id: question.id,
+                    source: question.source,
+                    number: question.number,
+                    similarity: Math.round(match.similarity * 100) / 100
+                });
+            } else {
+                const copy = {
+                    ...question,
+                    id: this.getUniqueId(question, groups),
+                    sources: [{ id: question.id, source: question.source, number: question.number }]
+                };
+                canonicals.push({ question: copy, fingerprint });
+                groups.set(copy.id, {
+                    id: copy.id,
+                    question: question.question,
+                    members: [{ id: question.id, source: question.source, number: question.number, similarity: 1 }]
+                });
+            }
+        }
+
+        return {
+            questions: canonicals.map(c => c.question),
+            report: {
+                groups: [...groups.values()].filter(group => group.members.length > 1),
+                conflicts
+            }
+        };
+    }
+
+    /**
+     * The question's ID, or when an identical copy was kept apart (its answer
+     * differs), one qualified by its source and number so IDs stay unique
+     */
+    getUniqueId(question, groups) {
+        if (!groups.has(question.id)) return question.id;
+        const base = `${question.id}-${question.source}-${question.number}`;
+        let id = base;
+        for (let n = 2; groups.has(id); n++) id = `${base}-${n}`;
+        return id;
+    }
+
+    /**
+     * Key for a pair of question IDs, independent of their order
+     */
+    getPairKey(idA, idB) {
+        return [idA, idB].sort().join('|');
+    }
+
+    /**
+     * Describe what to compare: trigrams of the question and of the sorted options
+     * (whitespace, case and option order don't matter), plus the formula tokens -
+     * anything with digits or symbols - which must match exactly, so "(A + B')"
+     * and "(A + B)" or "O(n)" and "O(n²)" never count as the same.
+     */
+    getFingerprint(question) {
+        const questionText = `${question.question} ${question.code || ''}`;
+        const optionTexts = question.options.map(opt => this.normalize(opt.text)).sort();
+
+        return {
+            question: this.trigrams(this.normalize(questionText)),
+            options: this.trigrams(optionTexts.join('|')),
+            optionCount: question.options.length,
+            formulas: [
+                ...this.getFormulaTokens(questionText).sort(),
+                '|',
+                ...question.options.map(opt => this.getFormulaTokens(opt.text).join(' ')).sort()
+            ].join(' ')
+        };
+    }
+
+    /**
+     * Similarity of two fingerprints, or null when they aren't duplicates
+     */
+    compare(a, b) {
+        if (a.optionCount !== b.optionCount || a.formulas !== b.formulas) return null;
+
+        const questionSimilarity = this.dice(a.question, b.question);
+        if (questionSimilarity < this.questionThreshold) return null;
+        const optionSimilarity = this.dice(a.options, b.options);
+        if (optionSimilarity < this.optionThreshold) return null;
+
+        return Math.min(questionSimilarity, optionSimilarity);
+    }
+
+    /**
+     * Lowercase and drop whitespace and sentence punctuation, which ligature
+     * damage and re-typesetting change freely
+     */
+    normalize(text) {
+        return (text || '').normalize('NFKC').toLowerCase().replace(/[\s.,;:?!'"`_-]+/g, '');
+    }
+
+    /**
+     * Words that contain digits or symbols, normalized
+     */
+    getFormulaTokens(text) {
+        return (text || '')
+            .split(/\s+/)
+            .map(token => token.replace(/^[.,;:?!'"`]+|[.,;:?!'"`]+$/g, ''))
+            .filter(token => /[^A-Za-z.,;:?!'"`-]/.test(token))
+            .map(token => token.normalize('NFKC').toLowerCase());
+    }
+
+    /**
+     * Set of three-character slices of a string
+     */
+    trigrams(text) {
+        const grams = new Set();
+        for (let i = 0; i + 3 <= text.length; i++) grams.add(text.slice(i, i + 3));
+        if (grams.size === 0) grams.add(text);
+        return grams;
+    }
+
+    /**
+     * Dice coefficient of two sets
+     */
+    dice(a, b) {
+        let shared = 0;
+        a.forEach(gram => { if (b.has(gram)) shared++; });
+        return (2 * shared) / (a.size + b.size);
+    }
+
+    /**
+     * Check that two copies don't disagree on the answer. Answers are compared by
+     * option text, as copies may list the options in another order.
+     */
+    sameAnswer(a, b) {
+        if (a.answer === null || b.answer === null) return true;
+        const answerA = this.getAnswerTexts(a);
+        const answerB = this.getAnswerTexts(b);
+        return answerA.length === answerB.length && answerA.every((text, i) => text === answerB[i]);
+    }
+
+    /**
+     * Normalized, sorted texts of the options a question marks as correct
+     */
+    getAnswerTexts(question) {
+        const letters = Array.isArray(question.answer) ? question.answer : [question.answer];
+        return question.options
+            .filter(opt => letters.includes(opt.letter))
+            .map(opt => this.normalize(opt.text))
+            .sort();
+    }
+
+    /**
+     * Add a duplicate's source to the canonical question and fill in what the
+     * canonical copy is missing: answer, explanation and figures
+     */
+    absorb(canonical, duplicate) {
+        canonical.sources.push({ id: duplicate.id, source: duplicate.source, number: duplicate.number });
+
+        if (canonical.answer === null && duplicate.answer !== null) {
+            const texts = this.getAnswerTexts(duplicate);
+            const letters = canonical.options
+                .filter(opt => texts.includes(this.normalize(opt.text)))
+                .map(opt => opt.letter);
+            if (letters.length === texts.length) {
+                canonical.answer = Array.isArray(duplicate.answer) ? letters : letters[0];
+                canonical.answerConfidence = duplicate.answerConfidence;
+            }
+        }
+        if (!canonical.explanation && duplicate.explanation) {
+            canonical.explanation = duplicate.explanation;
+        }
+        if (canonical.figures.length === 0 && duplicate.figures.length > 0) {
+            canonical.figures = duplicate.figures;
+        }
+    }
+
+    /**
+     * "CS SET 1.pdf Q30" style label for a question's source
+     */
+    describeSource(question) {
+        return `${question.source} Q${question.number}`;
+    }
+}
+
+// Export for use in app.js
+window.DuplicateDetector = DuplicateDetector;
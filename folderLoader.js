@@ -0,0 +1,177 @@
+/**
+ * Folder Loader Module
+ * Collects the question files of dropped files and folders and of picked
+ * folders (recursively), and remembers folders picked with the File System
+ * Access API so they can be loaded again with one click
+ */
+
+class FolderLoader {
+    constructor(questionBank, isSupported) {
+        this.questionBank = questionBank;
+        // Whether a file name is one the app can load
+        this.isSupported = isSupported;
+        // Files kept beside question files that hold no questions (tech/manifest.json)
+        this.ignoredNames = ['manifest.json'];
+    }
+
+    /**
+     * Whether a file found in a folder or drop should be loaded
+     */
+    accepts(name) {
+        return !this.ignoredNames.includes(name.toLowerCase()) && this.isSupported(name);
+    }
+
+    /**
+     * Whether the browser can pick folders as handles that can be remembered
+     * (otherwise a directory input is used)
+     */
+    canPickFolders() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * Let the user pick a folder and remember it. Returns its supported files,
+     * or null when the picker was dismissed.
+     */
+    async pickFolder() {
+        let handle;
+        try {
+            handle = await window.showDirectoryPicker({ id: 'question-files', mode: 'read' });
+        } catch (e) {
+            if (e.name !== 'AbortError') console.error('Error picking folder:', e);
+            return null;
+        }
+        await this.rememberFolder(handle);
+        return this.readDirectoryHandle(handle);
+    }
+
+    /**
+     * Supported files among those chosen with a file or directory input
+     */
+    filterFiles(files) {
+        return Array.from(files).filter(file => this.accepts(file.name));
+    }
+
+    /**
+     * Supported files of a drop, walking into dropped folders. Folders dropped
+     * as handles (where the browser gives them) are remembered too.
+     */
+    async collectDropped(dataTransfer) {
+        // Items can only be read while the drop event is being handled
+        const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+        if (items.length === 0) return this.filterFiles(dataTransfer.files || []);
+        const dropped = items.map(item => ({
+            handle: item.getAsFileSystemHandle ? item.getAsFileSystemHandle() : null,
+            entry: item.webkitGetAsEntry ? item.webkitGetAsEntry() : null,
+            file: item.getAsFile()
+        }));
+
+        const files = [];
+        for (const { handle, entry, file } of dropped) {
+            const directory = handle ? await handle.catch(() => null) : null;
+            if (directory && directory.kind === 'directory') {
+                await this.rememberFolder(directory);
+                files.push(...await this.readDirectoryHandle(directory));
+            } else if (entry && entry.isDirectory) {
+                files.push(...await this.readDirectoryEntry(entry));
+            } else if (file && this.accepts(file.name)) {
+                files.push(file);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Supported files in a directory handle and its subfolders, skipping hidden ones
+     */
+    async readDirectoryHandle(directory) {
+        const files = [];
+        for await (const handle of directory.values()) {
+            if (handle.name.startsWith('.')) continue;
+            if (handle.kind === 'directory') {
+                files.push(...await this.readDirectoryHandle(handle));
+            } else if (this.accepts(handle.name)) {
+                files.push(await handle.getFile());
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Supported files in a dropped directory entry and its subfolders, skipping hidden ones
+     */
+    async readDirectoryEntry(directory) {
+        // readEntries returns the entries in batches until it returns none
+        const reader = directory.createReader();
+        const entries = [];
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            entries.push(...batch);
+        } while (batch.length > 0);
+
+        const files = [];
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            if (entry.isDirectory) {
+                files.push(...await this.readDirectoryEntry(entry));
+            } else if (this.accepts(entry.name)) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Save a folder handle, or mark an already saved copy of it as just used
+     */
+    async rememberFolder(handle) {
+        const folders = await this.questionBank.getFolders();
+        for (const folder of folders) {
+            if (await folder.handle.isSameEntry(handle)) {
+                await this.questionBank.putFolder({ ...folder, usedAt: Date.now() });
+                return;
+            }
+        }
+        await this.questionBank.putFolder({ id: `folder-${Date.now()}`, name: handle.name, handle: handle, usedAt: Date.now() });
+    }
+
+    /**
+     * Remembered folders ({ id, name, handle, usedAt }), most recently used first
+     */
+    async getFolders() {
+        const folders = await this.questionBank.getFolders();
+        return folders.sort((a, b) => b.usedAt - a.usedAt);
+    }
+
+    /**
+     * Supported files of a remembered folder, asking for read access again when
+     * the browser no longer grants it. Returns null when access is refused or
+     * the folder can't be read.
+     */
+    async reloadFolder(folder) {
+        try {
+            const options = { mode: 'read' };
+            if (await folder.handle.queryPermission(options) !== 'granted' &&
+                await folder.handle.requestPermission(options) !== 'granted') {
+                return null;
+            }
+            const files = await this.readDirectoryHandle(folder.handle);
+            await this.questionBank.putFolder({ ...folder, usedAt: Date.now() });
+            return files;
+        } catch (e) {
+            console.error('Error reading folder:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Forget a remembered folder
+     */
+    async forgetFolder(id) {
+        await this.questionBank.deleteFolder(id);
+    }
+}
+
+// Export for use in app.js
+window.FolderLoader = FolderLoader;
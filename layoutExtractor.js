@@ -0,0 +1,846 @@
+/**
+ * Layout Extractor Module
+ * Rebuilds lines, columns and paragraphs from pdf.js text items using their positions
+ */
+
+class LayoutExtractor {
+    constructor(pdfjsLib = window.pdfjsLib) {
+        this.pdfjsLib = pdfjsLib;
+        // Items closer than this fraction of the font size vertically share a line
+        this.lineTolerance = 0.5;
+        // A horizontal gap wider than this fraction of the font size is a word space
+        this.wordGap = 0.15;
+        // A line gap this many times the usual line spacing starts a new paragraph
+        this.paragraphGap = 1.6;
+        // Smallest drawing (in points) treated as a figure, and the render scale for crops
+        this.minFigureSize = 40;
+        this.figureScale = 2;
+        // A line is a running header or footer when it sits in the top or bottom
+        // band of the page, at the same height (within this fraction of the page)
+        // on at least this share of the pages
+        this.marginBand = 0.1;
+        this.repeatTolerance = 0.02;
+        this.repeatRatio = 0.5;
+        this.minRepeatPages = 3;
+        // A page with less text than this has no real text layer (a scan); it is
+        // read by the OCR engine, when one is set, from a render at this scale
+        this.minPageText = 20;
+        this.ocrScale = 3;
+        this.ocrEngine = null;
+        // Text whose fill color channels differ by at least this much (0-255) is colored
+        this.minColorSaturation = 80;
+    }
+
+    /**
+     * Extract structured lines from every page of a loaded pdf.js document,
+     * calling onPage(pageNumber, pageCount) after each page
+     */
+    async extractPages(pdf, onPage = null) {
+        const pages = [];
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            pages.push(await this.extractPage(page, i));
+            if (onPage) onPage(i, pdf.numPages);
+        }
+        return pages;
+    }
+
+    /**
+     * Extract the lines of a single page in reading order
+     */
+    async extractPage(page, pageNumber) {
+        const viewport = page.getViewport({ scale: 1 });
+        const textContent = await page.getTextContent();
+        let items = this.toPositionedItems(textContent.items, textContent.styles);
+
+        const scanned = items.reduce((length, item) => length + item.text.trim().length, 0) < this.minPageText;
+        let ocr = false;
+        if (scanned && this.ocrEngine && await this.ocrEngine.isAvailable()) {
+            items = await this.recognizePage(page, viewport);
+            ocr = items.length > 0;
+        }
+
+        // An OCR'd scan is one big image with no fonts or colors to read
+        const operatorList = ocr ? null : await this.readOperatorList(page);
+        if (operatorList) {
+            this.markTextStyles(items, operatorList, page.commonObjs);
+        }
+
+        const lines = this.orderLines(items, viewport.width, pageNumber)
+            .filter(line => !this.isPageNumber(line, viewport.height));
+        this.markParagraphs(lines);
+        this.markCodeLines(lines);
+        this.markStyledLines(lines);
+        if (ocr) {
+            lines.forEach(line => {
+                line.ocrConfidence = Math.round(line.spans.reduce((sum, span) => sum + span.ocrConfidence, 0) / line.spans.length);
+            });
+        }
+
+        const figures = operatorList ? this.findFigures(operatorList, viewport, items, pageNumber) : [];
+        if (figures.length > 0) {
+            await this.renderFigures(page, figures);
+            this.insertFigureMarkers(lines, figures);
+        }
+
+        return {
+            number: pageNumber,
+            width: viewport.width,
+            height: viewport.height,
+            lines: lines,
+            figures: figures,
+            scanned: scanned,
+            ocr: ocr
+        };
+    }
+
+    /**
+     * Render a page without a text layer and read it with the OCR engine. The
+     * words come back as positioned items (with their OCR confidence), so lines,
+     * columns and paragraphs are rebuilt just like for a text page.
+     */
+    async recognizePage(page, viewport) {
+        if (typeof document === 'undefined') return [];
+
+        try {
+            const scaled = page.getViewport({ scale: this.ocrScale });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(scaled.width);
+            canvas.height = Math.ceil(scaled.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport: scaled }).promise;
+
+            const words = await this.ocrEngine.recognize(canvas);
+            const items = words
+                .filter(word => word.text && word.text.trim())
+                .map(word => {
+                    const { x0, y0, x1, y1 } = word.bbox;
+                    return {
+                        text: word.text.trim(),
+                        x: x0 / this.ocrScale,
+                        y: viewport.height - y1 / this.ocrScale,
+                        width: (x1 - x0) / this.ocrScale,
+                        fontSize: (y1 - y0) / this.ocrScale,
+                        fontName: 'ocr',
+                        monospace: false,
+                        ocrConfidence: word.confidence
+                    };
+                });
+            return this.joinWords(items);
+        } catch (e) {
+            console.error(`Error running OCR on page ${page.pageNumber}:`, e);
+            return [];
+        }
+    }
+
+    /**
+     * Check whether a line is a lone page number ("7", "Page 7 of 20", "- 7 -")
+     * in the top or bottom margin
+     */
+    isPageNumber(line, pageHeight) {
+        const inMargin = line.y < pageHeight * 0.08 || line.y > pageHeight * 0.92;
+        return inMargin && /^(?:Page\s*)?[-\u2013]?\s*\d{1,4}\s*[-\u2013]?(?:\s*(?:of|\/)\s*\d{1,4})?$/i.test(line.text);
+    }
+
+    /**
+     * Remove lines in the top and bottom margins that repeat at the same height
+     * across most pages: running headers and footers and "Page 3 of 40" counters.
+     * Numbers are ignored when comparing, but the rest of the text must match, so
+     * a question line that happens to be part of a header is kept.
+     * Returns the texts of the removed lines.
+     */
+    removeRepeatedLines(pages) {
+        const minPages = Math.max(this.minRepeatPages, Math.ceil(pages.length * this.repeatRatio));
+        if (pages.length < minPages) return [];
+
+        const keyOf = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+        const inMargin = (y) => y < this.marginBand || y > 1 - this.marginBand;
+        const occurrences = new Map();
+        pages.forEach(page => page.lines.forEach(line => {
+            const key = keyOf(line.text);
+            if (!key || line.figure || !inMargin(line.y / page.height)) return;
+            if (!occurrences.has(key)) occurrences.set(key, []);
+            occurrences.get(key).push({ page: page.number, y: line.y / page.height });
+        }));
+
+        const repeated = [];
+        occurrences.forEach((hits, key) => {
+            if (new Set(hits.map(h => h.page)).size < minPages) return;
+            const ys = hits.map(h => h.y).sort((a, b) => a - b);
+            const y = ys[Math.floor(ys.length / 2)];
+            const aligned = hits.filter(h => Math.abs(h.y - y) <= this.repeatTolerance);
+            if (new Set(aligned.map(h => h.page)).size >= minPages) repeated.push({ key, y });
+        });
+        if (repeated.length === 0) return [];
+
+        const removed = [];
+        pages.forEach(page => {
+            const drop = new Set();
+            repeated.forEach(r => {
+                const near = page.lines.filter(line => {
+                    const y = line.y / page.height;
+                    return !line.figure && inMargin(y) && Math.abs(y - r.y) <= this.repeatTolerance;
+                });
+                // A header split into pieces (e.g. by column detection) matches when
+                // its pieces at that height, read left to right, make up the whole
+                const whole = near.filter(line => keyOf(line.text) === r.key);
+                const pieces = [...near].sort((a, b) => a.x - b.x);
+                const matched = whole.length > 0 ? whole
+                    : keyOf(pieces.map(line => line.text).join(' ')) === r.key ? pieces : [];
+                matched.forEach(line => drop.add(line));
+            });
+            page.lines = page.lines.filter(line => {
+                if (drop.has(line)) removed.push(line.text);
+                return !drop.has(line);
+            });
+        });
+        return removed;
+    }
+
+    /**
+     * Remove text matching any of the given patterns; lines left empty are
+     * dropped. Returns the removed pieces of text.
+     */
+    removeMatchingLines(pages, patterns) {
+        if (patterns.length === 0) return [];
+
+        const removed = [];
+        pages.forEach(page => {
+            page.lines = page.lines.filter(line => {
+                if (line.figure) return true;
+                const text = patterns.reduce((result, pattern) => result.replace(pattern, (match) => {
+                    removed.push(match);
+                    return '';
+                }), line.text);
+                if (text !== line.text) line.text = text.replace(/\s{2,}/g, ' ').trim();
+                return line.text.length > 0;
+            });
+        });
+        return removed;
+    }
+
+    /**
+     * Keep the position, size and font of each non-empty text item
+     */
+    toPositionedItems(items, styles = {}) {
+        return items
+            .filter(item => item.str && item.str.trim())
+            .map(item => {
+                const [, , c, d, x, y] = item.transform;
+                return {
+                    text: item.str,
+                    x: x,
+                    y: y,
+                    width: item.width,
+                    fontSize: Math.hypot(c, d) || item.height || 10,
+                    fontName: item.fontName,
+                    monospace: this.isMonospace(item.fontName, styles[item.fontName])
+                };
+            });
+    }
+
+    /**
+     * pdf.js reports fixed-pitch fonts with a "monospace" family; embedded
+     * names like "Courier" or "Consolas" also give them away
+     */
+    isMonospace(fontName, style) {
+        const family = style ? style.fontFamily : '';
+        return /monospace/i.test(family) || /courier|consol|mono|menlo|inconsolata/i.test(fontName || '');
+    }
+
+    /**
+     * Build lines and put them in reading order. On two-column pages the left
+     * column is read before the right one, between full-width lines such as headings.
+     */
+    orderLines(items, pageWidth, pageNumber) {
+        const gutter = this.findGutter(items, pageWidth);
+        if (gutter === null) {
+            return this.buildLines(items, pageNumber, 0);
+        }
+
+        const left = [], right = [], spanning = [];
+        for (const item of items) {
+            if (item.x + item.width <= gutter) left.push(item);
+            else if (item.x >= gutter) right.push(item);
+            else spanning.push(item);
+        }
+
+        const columns = [this.buildLines(left, pageNumber, 0), this.buildLines(right, pageNumber, 1)];
+        const boundaries = this.buildLines(spanning, pageNumber, -1);
+
+        const ordered = [];
+        let upper = Infinity;
+        for (const boundary of [...boundaries, null]) {
+            const lower = boundary ? boundary.y : -Infinity;
+            for (const column of columns) {
+                ordered.push(...column.filter(line => line.y < upper && line.y >= lower));
+            }
+            if (boundary) ordered.push(boundary);
+            upper = lower;
+        }
+        return ordered;
+    }
+
+    /**
+     * Find the x position of an empty vertical strip in the middle of the page
+     * with text on both sides, or null for single-column pages
+     */
+    findGutter(items, pageWidth) {
+        if (items.length < 10 || !pageWidth) return null;
+
+        const buckets = 100;
+        const coverage = new Array(buckets).fill(0);
+        for (const item of items) {
+            const from = Math.max(0, Math.floor((item.x / pageWidth) * buckets));
+            const to = Math.min(buckets - 1, Math.floor(((item.x + item.width) / pageWidth) * buckets));
+            for (let b = from; b <= to; b++) coverage[b]++;
+        }
+
+        // A few headings may cross the gutter
+        const allowed = Math.max(1, Math.floor(items.length * 0.05));
+        let best = null;
+        let runStart = null;
+        for (let b = 30; b <= 70; b++) {
+            if (coverage[b] <= allowed) {
+                if (runStart === null) runStart = b;
+                if (b - runStart >= 1 && (!best || b - runStart > best.end - best.start)) {
+                    best = { start: runStart, end: b };
+                }
+            } else {
+                runStart = null;
+            }
+        }
+        if (!best) return null;
+
+        const gutter = ((best.start + best.end + 1) / 2 / buckets) * pageWidth;
+        const leftCount = items.filter(item => item.x + item.width <= gutter).length;
+        const rightCount = items.filter(item => item.x >= gutter).length;
+        return leftCount >= 5 && rightCount >= 5 ? gutter : null;
+    }
+
+    /**
+     * Group items into lines from top to bottom and join their text, adding a
+     * space only where there is a visible gap (split ligature glyphs stay joined)
+     */
+    buildLines(items, pageNumber, column) {
+        const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+        const groups = [];
+
+        for (const item of sorted) {
+            const current = groups[groups.length - 1];
+            const tolerance = Math.max(item.fontSize, current ? current.fontSize : 0) * this.lineTolerance;
+            if (current && Math.abs(current.y - item.y) <= tolerance) {
+                current.items.push(item);
+                current.fontSize = Math.max(current.fontSize, item.fontSize);
+            } else {
+                groups.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+            }
+        }
+
+        return groups.map(group => {
+            const spans = group.items.sort((a, b) => a.x - b.x);
+            let text = '';
+            let previous = null;
+            for (const span of spans) {
+                const gap = previous ? span.x - (previous.x + previous.width) : 0;
+                // Math fonts leave no gap next to the text after them ("(A + B′)simplifies"),
+                // so a font change breaks words too - but not after a letter, as in a word
+                // that changes font partway ("**S**MTP"), an opening bracket or before punctuation
+                const fontBreak = previous && previous.fontName !== span.fontName &&
+                    gap > -span.fontSize * this.wordGap && this.isFontBreak(previous.text, span.text);
+                if (previous && (gap > span.fontSize * this.wordGap || fontBreak) &&
+                    !/\s$/.test(text) && !/^\s/.test(span.text)) {
+                    text += ' ';
+                }
+                text += span.text;
+                previous = span;
+            }
+
+            const x = spans[0].x;
+            const last = spans[spans.length - 1];
+            return {
+                page: pageNumber,
+                column: column,
+                x: x,
+                y: group.y,
+                width: last.x + last.width - x,
+                fontSize: group.fontSize,
+                text: text.trim(),
+                spans: spans,
+                monospace: spans.every(span => span.monospace),
+                paragraphStart: false,
+                code: false,
+                indent: 0
+            };
+        });
+    }
+
+    /**
+     * Whether a font change between two spans with no gap between them is a word break
+     */
+    isFontBreak(before, after) {
+        return !/^[.,;:?!)\]}%'’"”]/.test(after) && !/[(\[{\p{Script=Latin}]$/u.test(before);
+    }
+
+    /**
+     * Mark lines that follow a noticeably larger vertical gap than the usual
+     * line spacing, or that start a new column
+     */
+    markParagraphs(lines) {
+        const gaps = [];
+        for (let i = 1; i < lines.length; i++) {
+            const gap = lines[i - 1].y - lines[i].y;
+            if (lines[i].column === lines[i - 1].column && gap > 0) gaps.push(gap);
+        }
+        if (gaps.length === 0) return;
+
+        gaps.sort((a, b) => a - b);
+        const usual = gaps[Math.floor(gaps.length / 2)];
+
+        for (let i = 1; i < lines.length; i++) {
+            const gap = lines[i - 1].y - lines[i].y;
+            lines[i].paragraphStart = lines[i].column !== lines[i - 1].column ||
+                gap > usual * this.paragraphGap;
+        }
+    }
+
+    /**
+     * Mark runs of source code: lines set in a monospace font, or at least two
+     * consecutive lines that look like code. Code lines remember their
+     * indentation in characters relative to the leftmost code line.
+     */
+    markCodeLines(lines) {
+        const candidates = lines.map(line => !this.isStructuralLine(line.text) &&
+            (line.monospace || this.looksLikeCode(line.text)));
+
+        let i = 0;
+        while (i < lines.length) {
+            if (!candidates[i]) {
+                i++;
+                continue;
+            }
+
+            let end = i;
+            while (end + 1 < lines.length && candidates[end + 1] && lines[end + 1].column === lines[i].column) {
+                end++;
+            }
+
+            const run = lines.slice(i, end + 1);
+            if (run.length >= 2 || run[0].monospace) {
+                const left = Math.min(...run.map(line => line.x));
+                for (const line of run) {
+                    const charWidth = line.fontSize * 0.5;
+                    line.code = true;
+                    line.indent = Math.max(0, Math.round((line.x - left) / charWidth));
+                }
+            }
+            i = end + 1;
+        }
+    }
+
+    /**
+     * Question numbers, option markers and answer labels are never code
+     */
+    isStructuralLine(text) {
+        return /^(?:Q\.?\s*\d{1,3}[.\)]|\d{1,3}[.\)]\s|\(?[A-F][.\)]\s|(?:Correct\s+)?(?:Answer|Ans|Explanation)\s*:)/i.test(text);
+    }
+
+    /**
+     * Heuristic for a line of C-like, Java or Python source
+     */
+    looksLikeCode(text) {
+        return /^[{}]\s*;?$/.test(text) ||
+            /[;{]\s*$/.test(text) ||
+            /^#\s*(?:include|define)\b/.test(text) ||
+            /^(?:if|for|while|switch|else\s+if)\s*\(.*\)\s*\{?$/.test(text) ||
+            /^(?:def|class)\s+\w+.*:$/.test(text) ||
+            /^(?:public|private|protected|static)\s+[\w<>\[\]]+\s+\w+/.test(text);
+    }
+
+    /**
+     * Get the drawing operations of a page (this also loads its fonts), or null
+     */
+    async readOperatorList(page) {
+        try {
+            return await page.getOperatorList();
+        } catch (e) {
+            console.error('Error reading page graphics:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Mark items set in a bold font (bold), a colored fill (color, as #rrggbb)
+     * or over a colored box (highlight). Colors come from the operator list,
+     * whose text runs follow the same order as the text items.
+     */
+    markTextStyles(items, operatorList, commonObjs) {
+        const { runs, highlights } = this.collectTextStyles(operatorList);
+
+        // Color of every visible character, in drawing order
+        const colors = [];
+        runs.forEach(run => {
+            for (const char of run.text.replace(/\s+/g, '')) colors.push({ char, color: run.color });
+        });
+
+        let next = 0;
+        for (const item of items) {
+            const font = commonObjs && commonObjs.has(item.fontName) ? commonObjs.get(item.fontName) : null;
+            item.bold = Boolean(font && (font.bold || font.black || /bold|black|heavy/i.test(font.name || '')));
+
+            // Walk the item's characters along the runs, skipping any the two disagree on
+            const counts = new Map();
+            for (const char of item.text.normalize('NFKC').replace(/\s+/g, '')) {
+                const found = colors.slice(next, next + 4).findIndex(entry => entry.char === char);
+                if (found < 0) continue;
+                const { color } = colors[next + found];
+                counts.set(color, (counts.get(color) || 0) + 1);
+                next += found + 1;
+            }
+            const [color] = [...counts].sort((a, b) => b[1] - a[1])[0] || [null];
+            item.color = color;
+
+            const centerX = item.x + item.width / 2;
+            const centerY = item.y + item.fontSize / 3;
+            item.highlight = highlights.some(box => centerX >= box.x1 && centerX <= box.x2 && centerY >= box.y1 && centerY <= box.y2);
+        }
+    }
+
+    /**
+     * Walk the operator list for the fill color of each text run ({ text, color },
+     * color null for black, white and grays) and the boxes filled with a color
+     */
+    collectTextStyles(operatorList) {
+        const OPS = this.pdfjsLib && this.pdfjsLib.OPS;
+        if (!OPS) return { runs: [], highlights: [] };
+
+        const fillOps = new Set([OPS.fill, OPS.eoFill, OPS.fillStroke, OPS.eoFillStroke,
+            OPS.closeFillStroke, OPS.closeEOFillStroke].filter(op => op !== undefined));
+        const runs = [];
+        const highlights = [];
+        const stack = [];
+        let ctm = [1, 0, 0, 1, 0, 0];
+        let color = null;
+        let path = null;
+        const { fnArray, argsArray } = operatorList;
+
+        for (let i = 0; i < fnArray.length; i++) {
+            const fn = fnArray[i];
+            const args = argsArray[i];
+
+            if (fn === OPS.save) {
+                stack.push({ ctm, color });
+            } else if (fn === OPS.restore) {
+                ({ ctm, color } = stack.pop() || { ctm, color });
+            } else if (fn === OPS.transform) {
+                ctm = this.multiplyMatrix(ctm, args);
+            } else if (fn === OPS.paintFormXObjectBegin) {
+                stack.push({ ctm, color });
+                if (args[0]) ctm = this.multiplyMatrix(ctm, args[0]);
+            } else if (fn === OPS.paintFormXObjectEnd) {
+                ({ ctm, color } = stack.pop() || { ctm, color });
+            } else if (fn === OPS.setFillRGBColor) {
+                color = this.toTextColor(args);
+            } else if (fn === OPS.showText || fn === OPS.showSpacedText) {
+                const text = (args[0] || []).map(glyph => glyph && glyph.unicode ? glyph.unicode.normalize('NFKC') : '').join('');
+                runs.push({ text, color });
+            } else if (fn === OPS.constructPath) {
+                path = args[2] && isFinite(args[2][0]) ? args[2] : null;
+            } else if (fillOps.has(fn) && path && color) {
+                const [minX, maxX, minY, maxY] = path;
+                highlights.push(this.transformBox(ctm, minX, minY, maxX, maxY, false));
+            }
+        }
+        return { runs, highlights };
+    }
+
+    /**
+     * "#rrggbb" for a fill color with a clear hue, null for black, white and grays
+     */
+    toTextColor(rgb) {
+        const [r, g, b] = Array.from(rgb || []);
+        if ([r, g, b].some(value => typeof value !== 'number')) return null;
+        if (Math.max(r, g, b) - Math.min(r, g, b) < this.minColorSaturation) return null;
+        return '#' + [r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Give each line the style (bold, color or highlight) of most of its text, if any
+     */
+    markStyledLines(lines) {
+        for (const line of lines) {
+            line.style = null;
+            if (line.code) continue;
+
+            const total = line.spans.reduce((sum, span) => sum + span.text.replace(/\s+/g, '').length, 0);
+            const share = (test) => line.spans
+                .filter(test)
+                .reduce((sum, span) => sum + span.text.replace(/\s+/g, '').length, 0) / (total || 1);
+            line.style = ['highlight', 'color', 'bold']
+                .find(style => share(span => Boolean(span[style])) > 0.5) || null;
+        }
+    }
+
+    /**
+     * Find images and vector drawings on a page from its operator list. Path
+     * boxes that touch are merged; page frames, rules and boxes around mostly
+     * text are ignored.
+     */
+    findFigures(operatorList, viewport, items, pageNumber) {
+        const boxes = this.collectGraphicBoxes(operatorList)
+            .filter(box => box.x2 - box.x1 < viewport.width * 0.9 && box.y2 - box.y1 < viewport.height * 0.9);
+
+        return this.mergeBoxes(boxes)
+            .filter(box => {
+                const width = box.x2 - box.x1;
+                const height = box.y2 - box.y1;
+                if (box.image) return width >= 8 && height >= 8;
+                return box.count >= 3 && width >= this.minFigureSize && height >= this.minFigureSize &&
+                    this.textCoverage(box, items) < 0.5;
+            })
+            .map((box, i) => ({
+                id: `p${pageNumber}-f${i + 1}`,
+                page: pageNumber,
+                x: box.x1,
+                y: box.y1,
+                width: box.x2 - box.x1,
+                height: box.y2 - box.y1,
+                image: null
+            }));
+    }
+
+    /**
+     * Walk the operator list tracking the transform matrix and return the page
+     * space bounding box of every painted image and path
+     */
+    collectGraphicBoxes(operatorList) {
+        const OPS = this.pdfjsLib && this.pdfjsLib.OPS;
+        if (!OPS) return [];
+
+        const imageOps = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject,
+            OPS.paintImageMaskXObject, OPS.paintJpegXObject].filter(op => op !== undefined));
+
+        const boxes = [];
+        const stack = [];
+        let ctm = [1, 0, 0, 1, 0, 0];
+        const { fnArray, argsArray } = operatorList;
+
+        for (let i = 0; i < fnArray.length; i++) {
+            const fn = fnArray[i];
+            const args = argsArray[i];
+
+            if (fn === OPS.save) {
+                stack.push(ctm);
+            } else if (fn === OPS.restore) {
+                ctm = stack.pop() || ctm;
+            } else if (fn === OPS.transform) {
+                ctm = this.multiplyMatrix(ctm, args);
+            } else if (fn === OPS.paintFormXObjectBegin) {
+                stack.push(ctm);
+                if (args[0]) ctm = this.multiplyMatrix(ctm, args[0]);
+            } else if (fn === OPS.paintFormXObjectEnd) {
+                ctm = stack.pop() || ctm;
+            } else if (imageOps.has(fn)) {
+                boxes.push(this.transformBox(ctm, 0, 0, 1, 1, true));
+            } else if (fn === OPS.constructPath && args[2]) {
+                const [minX, maxX, minY, maxY] = args[2];
+                if (isFinite(minX) && isFinite(minY)) {
+                    boxes.push(this.transformBox(ctm, minX, minY, maxX, maxY, false));
+                }
+            }
+        }
+        return boxes;
+    }
+
+    /**
+     * Multiply two PDF transform matrices
+     */
+    multiplyMatrix(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    /**
+     * Page space bounding box of a box drawn under the transform m
+     */
+    transformBox(m, minX, minY, maxX, maxY, image) {
+        const corners = [[minX, minY], [minX, maxY], [maxX, minY], [maxX, maxY]]
+            .map(([x, y]) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]);
+        const xs = corners.map(c => c[0]);
+        const ys = corners.map(c => c[1]);
+        return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys), image: image, count: 1 };
+    }
+
+    /**
+     * Merge boxes that overlap or nearly touch until none do
+     */
+    mergeBoxes(boxes, margin = 6) {
+        const merged = boxes.map(box => ({ ...box }));
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let i = 0; i < merged.length && !changed; i++) {
+                for (let j = i + 1; j < merged.length; j++) {
+                    const a = merged[i];
+                    const b = merged[j];
+                    if (a.x1 - margin > b.x2 || b.x1 - margin > a.x2 || a.y1 - margin > b.y2 || b.y1 - margin > a.y2) {
+                        continue;
+                    }
+                    merged[i] = {
+                        x1: Math.min(a.x1, b.x1), y1: Math.min(a.y1, b.y1),
+                        x2: Math.max(a.x2, b.x2), y2: Math.max(a.y2, b.y2),
+                        image: a.image || b.image, count: a.count + b.count
+                    };
+                    merged.splice(j, 1);
+                    changed = true;
+                    break;
+                }
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Fraction of a box's area taken up by text items inside it
+     */
+    textCoverage(box, items) {
+        const area = (box.x2 - box.x1) * (box.y2 - box.y1);
+        const textArea = items
+            .filter(item => item.x >= box.x1 && item.x <= box.x2 && item.y >= box.y1 && item.y <= box.y2)
+            .reduce((sum, item) => sum + item.width * item.fontSize, 0);
+        return area > 0 ? textArea / area : 1;
+    }
+
+    /**
+     * Render the page once and crop each figure to a PNG data URL. Needs a DOM
+     * canvas - without one figures keep a null image.
+     */
+    async renderFigures(page, figures) {
+        if (typeof document === 'undefined') return;
+
+        try {
+            const viewport = page.getViewport({ scale: this.figureScale });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+
+            const padding = 4;
+            for (const figure of figures) {
+                const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+                    figure.x - padding, figure.y - padding,
+                    figure.x + figure.width + padding, figure.y + figure.height + padding
+                ]);
+                const left = Math.max(0, Math.floor(Math.min(x1, x2)));
+                const top = Math.max(0, Math.floor(Math.min(y1, y2)));
+                const width = Math.min(canvas.width, Math.ceil(Math.max(x1, x2))) - left;
+                const height = Math.min(canvas.height, Math.ceil(Math.max(y1, y2))) - top;
+                if (width <= 0 || height <= 0) continue;
+
+                const crop = document.createElement('canvas');
+                crop.width = width;
+                crop.height = height;
+                crop.getContext('2d').drawImage(canvas, left, top, width, height, 0, 0, width, height);
+                figure.image = crop.toDataURL('image/png');
+            }
+        } catch (e) {
+            console.error('Error rendering figures:', e);
+        }
+    }
+
+    /**
+     * Put a [[figure:id]] marker line where each figure sits in reading order,
+     * so the parser can attach it to the surrounding question
+     */
+    insertFigureMarkers(lines, figures) {
+        for (const figure of figures) {
+            const top = figure.y + figure.height;
+            const centre = figure.x + figure.width / 2;
+            const rightColumn = lines.filter(line => line.column === 1);
+            const column = rightColumn.length > 0 && centre >= Math.min(...rightColumn.map(line => line.x)) ? 1 : 0;
+
+            const marker = {
+                page: figure.page,
+                column: column,
+                x: figure.x,
+                y: top,
+                width: figure.width,
+                fontSize: 0,
+                text: `[[figure:${figure.id}]]`,
+                spans: [],
+                monospace: false,
+                paragraphStart: false,
+                code: false,
+                indent: 0,
+                figure: figure.id
+            };
+
+            let index = lines.findIndex(line => line.column === column && line.y < top);
+            if (index === -1) {
+                const last = lines.map(line => line.column).lastIndexOf(column);
+                index = last === -1 ? lines.length : last + 1;
+            }
+            lines.splice(index, 0, marker);
+        }
+    }
+
+    /**
+     * Join OCR words that follow each other on a row into one item, like the
+     * runs of a text layer (single words would leave gaps that look like a
+     * column gutter). A run's confidence is the average of its words'.
+     */
+    joinWords(words) {
+        const runs = [];
+        let run = null;
+        for (const word of words) {
+            const gap = run ? word.x - (run.x + run.width) : 0;
+            const fontSize = run ? Math.max(run.fontSize, word.fontSize) : word.fontSize;
+            if (run && Math.abs(word.y - run.y) <= fontSize * this.lineTolerance && gap >= 0 && gap <= fontSize) {
+                run.text += ' ' + word.text;
+                run.width = word.x + word.width - run.x;
+                run.fontSize = fontSize;
+                run.confidences.push(word.ocrConfidence);
+            } else {
+                run = { ...word, confidences: [word.ocrConfidence] };
+                runs.push(run);
+            }
+        }
+        return runs.map(({ confidences, ...item }) => ({
+            ...item,
+            ocrConfidence: confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+        }));
+    }
+
+    /**
+     * Flatten pages into text: one line per row, a blank line between paragraphs.
+     * Code runs are fenced with ``` and keep their indentation. Lines read by OCR
+     * end with an [[ocr:confidence]] marker for the parser, and bold, colored or
+     * highlighted lines with a [[style:bold|color|highlight]] marker.
+     */
+    toText(pages) {
+        return pages.map(page => {
+            const out = [];
+            let inCode = false;
+            for (const line of page.lines) {
+                if (line.code !== inCode) {
+                    out.push('```');
+                    inCode = line.code;
+                }
+                let text = line.ocrConfidence !== undefined ? `${line.text} [[ocr:${line.ocrConfidence}]]` : line.text;
+                if (line.style) text += ` [[style:${line.style}]]`;
+                if (inCode) {
+                    out.push(' '.repeat(line.indent) + text);
+                } else {
+                    out.push((line.paragraphStart ? '\n' : '') + text);
+                }
+            }
+            if (inCode) out.push('```');
+            return out.join('\n');
+        }).join('\n');
+    }
+}
+
+// Export for use in pdfParser.js
+window.LayoutExtractor = LayoutExtractor;
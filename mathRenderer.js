@@ -0,0 +1,173 @@
+/**
+ * Math Renderer Module
+ * Turns the math in question text into HTML: exponents, subscripts, complement
+ * bars, base notation such as (1011)₂, set and logic symbols, and inline LaTeX
+ * written as $...$ or \(...\)
+ */
+
+class MathRenderer {
+    constructor() {
+        this.superscripts = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁺': '+', '⁻': '-', 'ⁿ': 'n' };
+        this.subscripts = { '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9' };
+
+        // Set, logic and relation symbols, set in the math font
+        this.symbolRegex = /[∪∩∧∨¬⊕⊙→←↔⇒⇔∈∉⊂⊃⊆⊇∅∀∃≤≥≠≈≡∞√⋅×÷±−∝]+/g;
+
+        // Arrows typed in ASCII, only when spaced out so "p->next" is left alone
+        this.asciiArrows = [[/ <=> /g, ' ⇔ '], [/ <-> /g, ' ↔ '], [/ -> /g, ' → '], [/ => /g, ' ⇒ ']];
+
+        // Inline LaTeX: $...$ (not starting or ending with a space, so "$5 or $6" stays
+        // text) and \(...\)
+        this.latexRegex = /\$([^\s$](?:[^$]*[^\s$])?)\$(?!\d)|\\\((.+?)\\\)/g;
+
+        this.latexSymbols = {
+            cup: '∪', cap: '∩', land: '∧', wedge: '∧', lor: '∨', vee: '∨', neg: '¬', lnot: '¬',
+            oplus: '⊕', odot: '⊙', cdot: '⋅', times: '×', div: '÷', pm: '±', in: '∈', notin: '∉',
+            subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇', emptyset: '∅', varnothing: '∅',
+            forall: '∀', exists: '∃', to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔',
+            Rightarrow: '⇒', implies: '⇒', Leftrightarrow: '⇔', iff: '⇔', le: '≤', leq: '≤',
+            ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', equiv: '≡', propto: '∝', infty: '∞',
+            sum: 'Σ', prod: 'Π', ldots: '…', dots: '…', cdots: '⋯', prime: '′',
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', theta: 'θ', lambda: 'λ',
+            mu: 'μ', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', phi: 'φ', omega: 'ω',
+            Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Omega: 'Ω'
+        };
+        this.latexFunctions = new Set(['log', 'ln', 'lg', 'exp', 'sin', 'cos', 'tan', 'min', 'max', 'lim', 'mod', 'gcd']);
+        this.latexSpaces = { ',': ' ', ':': ' ', ';': ' ', '!': '', quad: '  ', qquad: '    ', '\\': ' ' };
+        this.latexText = new Set(['text', 'mathrm', 'mathit', 'mathbf', 'operatorname']);
+    }
+
+    /**
+     * Return plain text as HTML with its math rendered, escaping everything else
+     */
+    render(text) {
+        if (!text) return '';
+        let html = '';
+        let lastIndex = 0;
+        let match;
+
+        this.latexRegex.lastIndex = 0;
+        while ((match = this.latexRegex.exec(text)) !== null) {
+            html += this.renderPlain(text.substring(lastIndex, match.index));
+            html += `<span class="math">${this.renderLatex(match[1] || match[2])}</span>`;
+            lastIndex = match.index + match[0].length;
+        }
+
+        return html + this.renderPlain(text.substring(lastIndex));
+    }
+
+    /**
+     * Render the math notation of ordinary text: "2^10", "f_max", "n²", "(1011)₂",
+     * "A'" and "(A + B)'" complements, and symbol runs
+     */
+    renderPlain(text) {
+        const arrows = this.asciiArrows.reduce((result, [pattern, arrow]) => result.replace(pattern, arrow), text);
+        const script = (tag, value) => `<${tag}>${value}</${tag}>`;
+
+        return this.escapeHtml(arrows)
+            // Unicode superscripts and subscripts (the subscript after a number or bracket is its base)
+            .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻ⁿ]+/g, (run) => script('sup', [...run].map(c => this.superscripts[c]).join('')))
+            .replace(/[₀₁₂₃₄₅₆₇₈₉]+/g, (run) => script('sub', [...run].map(c => this.subscripts[c]).join('')))
+            // x^2, 2^{n-1}
+            .replace(/([\w)])\^(?:\{([^{}]+)\}|(-?[A-Za-z0-9]+))/g, (match, base, group, plain) => base + script('sup', group || plain))
+            // f_max, V_{DD}, (1011)_2; a long tail like "my_var_name" is an identifier, not a subscript
+            .replace(/(^|[^A-Za-z_])([A-Za-z]|\([^()]*\))_(?:\{([^{}]+)\}|([A-Za-z0-9]{1,3})(?![\w]))/g,
+                (match, before, base, group, plain) => before + base + script('sub', group || plain))
+            // A'B' and (A + B)' complements; "I'm", "CPU's" and quoted 'A' or 'NULL' are left alone
+            .replace(/([A-Z]*)([A-Z])(?:&#39;|′)(?![a-z′]|&#39;)/g, (match, run, letter, offset, html) =>
+                this.isQuoted(html, offset) ? match : `${run}<span class="math-bar">${letter}</span>`)
+            .replace(/\(([^()]+)\)(?:&#39;|′)/g, (match, inner) => `<span class="math-bar">${inner}</span>`)
+            .replace(this.symbolRegex, (run) => `<span class="math-symbol">${run}</span>`);
+    }
+
+    /**
+     * Whether the capitals starting at offset are a quoted word ("'NULL'") or the end
+     * of a longer word rather than variables. A quote after a letter is a complement ("A'B'").
+     */
+    isQuoted(html, offset) {
+        const before = html.slice(0, offset);
+        if (/[a-z]$/.test(before)) return true;
+        const quote = before.match(/(?:&#39;|′)$/);
+        return quote !== null && !/[A-Za-z)]$/.test(before.slice(0, -quote[0].length));
+    }
+
+    /**
+     * Render the LaTeX subset used in question banks: scripts, \frac, \sqrt,
+     * \overline, \text and the symbol commands above
+     */
+    renderLatex(source) {
+        const state = { source, pos: 0 };
+        return this.parseLatexGroup(state, null);
+    }
+
+    /**
+     * Render tokens up to the closing brace (or the end when stop is null)
+     */
+    parseLatexGroup(state, stop) {
+        let html = '';
+        while (state.pos < state.source.length) {
+            if (state.source[state.pos] === stop) {
+                state.pos++;
+                return html;
+            }
+            html += this.parseLatexToken(state);
+        }
+        return html;
+    }
+
+    /**
+     * Render the argument of a command or script: a {group} or a single token
+     */
+    parseLatexArgument(state) {
+        while (state.source[state.pos] === ' ') state.pos++;
+        if (state.source[state.pos] === '{') {
+            state.pos++;
+            return this.parseLatexGroup(state, '}');
+        }
+        return state.pos < state.source.length ? this.parseLatexToken(state) : '';
+    }
+
+    /**
+     * Render one token: a group, a script, a command or a character
+     */
+    parseLatexToken(state) {
+        const char = state.source[state.pos++];
+        if (char === '{') return this.parseLatexGroup(state, '}');
+        if (char === '^') return `<sup>${this.parseLatexArgument(state)}</sup>`;
+        if (char === '_') return `<sub>${this.parseLatexArgument(state)}</sub>`;
+        if (char !== '\\') return this.escapeHtml(char);
+
+        const name = (state.source.slice(state.pos).match(/^(?:[A-Za-z]+|.)/) || [''])[0];
+        state.pos += name.length;
+
+        if (this.latexSymbols[name]) return `<span class="math-symbol">${this.latexSymbols[name]}</span>`;
+        if (this.latexFunctions.has(name)) return name;
+        if (name in this.latexSpaces) return this.latexSpaces[name];
+        if (this.latexText.has(name)) return this.parseLatexArgument(state);
+        if (name === 'left' || name === 'right') return '';
+        if (name === 'overline' || name === 'bar') return `<span class="math-bar">${this.parseLatexArgument(state)}</span>`;
+        if (name === 'sqrt') return `<span class="math-symbol">√</span><span class="math-bar">${this.parseLatexArgument(state)}</span>`;
+        if (name === 'frac') {
+            const numerator = this.parseLatexArgument(state);
+            const denominator = this.parseLatexArgument(state);
+            return `<span class="math-frac"><span>${numerator}</span><span>${denominator}</span></span>`;
+        }
+        // Escaped characters such as \{ and \%, and unknown commands as written
+        return this.escapeHtml(/^[A-Za-z]/.test(name) ? `\\${name}` : name);
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in app.js
+window.MathRenderer = MathRenderer;
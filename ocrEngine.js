@@ -0,0 +1,100 @@
+/**
+ * OCR Engine Module
+ * Reads the text of scanned pages with Tesseract.js, loaded from the copy bundled
+ * in vendor/tesseract/ so no network is needed (see README). Any object with the same
+ * isAvailable(), recognize(canvas) and terminate() methods can be used instead.
+ */
+
+class OcrEngine {
+    constructor(basePath = 'vendor/tesseract/', language = 'eng') {
+        this.basePath = basePath;
+        this.language = language;
+        this.available = null;
+        this.worker = null;
+        // Why OCR couldn't run (the script or its worker failed to load), once it has failed
+        this.error = null;
+    }
+
+    /**
+     * Check (once) whether Tesseract.js can be loaded from the vendor folder
+     */
+    async isAvailable() {
+        if (this.available === null) {
+            this.available = await this.loadLibrary();
+        }
+        return this.available;
+    }
+
+    /**
+     * Add the Tesseract.js script to the page unless it is already there
+     */
+    loadLibrary() {
+        if (typeof window !== 'undefined' && window.Tesseract) return Promise.resolve(true);
+        if (typeof document === 'undefined') return Promise.resolve(false);
+
+        return new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = `${this.basePath}tesseract.min.js`;
+            script.onload = () => {
+                if (!window.Tesseract) this.error = `${script.src} did not define Tesseract`;
+                resolve(Boolean(window.Tesseract));
+            };
+            script.onerror = () => {
+                this.error = `${script.src} could not be loaded`;
+                console.error(`OCR is unavailable: ${this.error}`);
+                resolve(false);
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Start the Tesseract worker with the vendored worker, core and language files
+     */
+    async getWorker() {
+        if (!this.worker) {
+            try {
+                this.worker = await window.Tesseract.createWorker(this.language, 1, {
+                    workerPath: `${this.basePath}worker.min.js`,
+                    corePath: `${this.basePath}core/`,
+                    langPath: `${this.basePath}lang/`,
+                    workerBlobURL: false
+                });
+            } catch (e) {
+                // Tesseract.js rejects with a message string as often as with an Error
+                this.error = `the OCR worker could not start (${e && e.message ? e.message : e})`;
+                throw e;
+            }
+        }
+        return this.worker;
+    }
+
+    /**
+     * Recognize the words on a rendered page. Resolves to
+     * [{ text, confidence (0-100), bbox: { x0, y0, x1, y1 } }] in canvas pixels.
+     */
+    async recognize(canvas) {
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(canvas);
+
+        // Tesseract.js 5 lists words directly; later versions only nest them in blocks
+        const words = data.words || (data.blocks || [])
+            .flatMap(block => block.paragraphs)
+            .flatMap(paragraph => paragraph.lines)
+            .flatMap(line => line.words);
+        return words.map(word => ({ text: word.text, confidence: word.confidence, bbox: word.bbox }));
+    }
+
+    /**
+     * Stop the Tesseract worker
+     */
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Export for use in app.js
+window.OcrEngine = OcrEngine;
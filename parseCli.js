@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Parse CLI
+ * Runs the PDF parsing pipeline in Node, printing questions and parse stats as
+ * JSON, and checks the PDFs in tech/ and the regression cases in tests/fixtures/
+ * (PDFs, or .txt files holding extracted text) against their golden files in
+ * tests/golden/. Needs pdfjs-dist 3.11.174 (see README).
+ *
+ *   node parseCli.js [--stats] file.pdf...   print questions and stats (or stats only)
+ *   node parseCli.js --check                 compare the PDFs and fixtures with the golden files
+ *   node parseCli.js --update                write the golden files again
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const techDir = path.join(__dirname, 'tech');
+const fixtureDir = path.join(__dirname, 'tests', 'fixtures');
+const goldenDir = path.join(__dirname, 'tests', 'golden');
+
+// The modules register themselves on window, as in the parse worker
+global.window = global;
+let pdfjs;
+const log = console.log;
+try {
+    // pdf.js reports missing optional canvas support on stdout while it loads
+    console.log = console.error;
+    pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+    // Font warnings would go to stdout too, so only errors are logged
+    window.pdfjsLib = {
+        ...pdfjs,
+        getDocument: (params) => pdfjs.getDocument({ ...params, verbosity: pdfjs.VerbosityLevel.ERRORS })
+    };
+} catch (error) {
+    console.error('pdfjs-dist is not installed: run "npm install --no-save pdfjs-dist@3.11.174" first');
+    process.exit(2);
+} finally {
+    console.log = log;
+}
+require('./layoutExtractor.js');
+require('./textCorrector.js');
+require('./pdfParser.js');
+
+const parser = new PDFParser();
+// The parser points pdf.js at its CDN worker; Node runs the local copy in-process
+pdfjs.GlobalWorkerOptions.workerSrc = require.resolve('pdfjs-dist/legacy/build/pdf.worker.js');
+
+/**
+ * Parse one PDF, or a .txt file as text already extracted from one. Figures are
+ * located but not rendered, as there is no canvas.
+ */
+async function parseFile(filePath) {
+    if (/\.txt$/i.test(filePath)) {
+        const report = parser.createReport(path.basename(filePath));
+        const questions = parser.parseQuestions(fs.readFileSync(filePath, 'utf8'), report.source, report);
+        parser.summarizeReport(report, questions);
+        return { questions, report };
+    }
+
+    const buffer = fs.readFileSync(filePath);
+    const file = {
+        name: path.basename(filePath),
+        arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    };
+    const report = parser.createReport(file.name);
+    try {
+        const questions = await parser.parsePDFQuestions(file, report);
+        parser.summarizeReport(report, questions);
+        return { questions, report };
+    } catch (error) {
+        report.error = error.message;
+        return { questions: [], report };
+    }
+}
+
+/**
+ * Parse stats of a report, without the per-block entries
+ */
+function getStats(report) {
+    return {
+        questionCount: report.questionCount,
+        missingAnswers: report.missingAnswers,
+        missingFigures: report.missingFigures,
+        rejectedBlocks: report.blocks.filter(block => block.status === 'rejected').length,
+        warnings: report.blocks.filter(block => block.status === 'parsed' && block.reason).length,
+        fallback: report.fallback,
+        answerKey: report.answerKey,
+        stripped: report.stripped.reduce((sum, entry) => sum + entry.count, 0),
+        scannedPages: report.scannedPages,
+        ocrPages: report.ocrPages,
+        error: report.error
+    };
+}
+
+/**
+ * The pinned parts of a question: its text as cleaned, options as plain text,
+ * answer and the pages of its figures
+ */
+function getSnapshot(question) {
+    return {
+        number: question.number,
+        id: question.id,
+        type: question.type,
+        question: question.question,
+        code: question.code,
+        options: question.options.map(opt => parser.unescapeHtml(opt.text)),
+        answer: question.answer,
+        answerConfidence: question.answerConfidence,
+        explanation: question.explanation,
+        figures: question.figures.map(figure => figure.page),
+        topics: question.topics
+    };
+}
+
+/**
+ * Golden file of a PDF or fixture, named without the download timestamp
+ */
+function getGoldenPath(filePath) {
+    const name = parser.stripTimestamp(path.basename(filePath)).replace(/\.(?:pdf|txt)$/i, '.json');
+    return path.join(goldenDir, name);
+}
+
+/**
+ * Describe how a parse differs from its golden file (at most `limit` lines)
+ */
+function compareGolden(golden, actual, limit = 20) {
+    const differences = [];
+    Object.keys(golden.stats).forEach(key => {
+        if (JSON.stringify(golden.stats[key]) !== JSON.stringify(actual.stats[key])) {
+            differences.push(`stats.${key}: expected ${JSON.stringify(golden.stats[key])}, got ${JSON.stringify(actual.stats[key])}`);
+        }
+    });
+
+    const count = Math.max(golden.questions.length, actual.questions.length);
+    for (let i = 0; i < count; i++) {
+        const expected = golden.questions[i];
+        const found = actual.questions[i];
+        if (!expected || !found) {
+            differences.push(`question ${i + 1}: ${expected ? 'missing' : `unexpected Q${found.number}`}`);
+            continue;
+        }
+        Object.keys(expected).forEach(key => {
+            if (JSON.stringify(expected[key]) !== JSON.stringify(found[key])) {
+                differences.push(`Q${expected.number} ${key}:\n    expected ${JSON.stringify(expected[key])}\n    got      ${JSON.stringify(found[key])}`);
+            }
+        });
+    }
+
+    if (differences.length > limit) {
+        return [...differences.slice(0, limit), `... and ${differences.length - limit} more`];
+    }
+    return differences;
+}
+
+/**
+ * Paths of the files in a directory with one of the extensions, sorted by name
+ */
+function listFiles(dir, pattern) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => pattern.test(name)).sort().map(name => path.join(dir, name));
+}
+
+/**
+ * Parse every PDF in tech/ and every fixture and compare it with (or, when
+ * updating, write) its golden file
+ */
+async function checkGoldens(update) {
+    const files = [...listFiles(techDir, /\.pdf$/i), ...listFiles(fixtureDir, /\.(?:pdf|txt)$/i)];
+    let failed = 0;
+
+    for (const filePath of files) {
+        const name = path.basename(filePath);
+        const goldenPath = getGoldenPath(filePath);
+        const { questions, report } = await parseFile(filePath);
+        const actual = {
+            source: parser.stripTimestamp(name),
+            parserVersion: parser.parserVersion,
+            stats: getStats(report),
+            questions: questions.map(getSnapshot)
+        };
+
+        if (update) {
+            fs.mkdirSync(goldenDir, { recursive: true });
+            fs.writeFileSync(goldenPath, JSON.stringify(actual, null, 2) + '\n');
+            console.log(`updated ${path.relative(__dirname, goldenPath)} (${questions.length} questions)`);
+            continue;
+        }
+        if (!fs.existsSync(goldenPath)) {
+            console.log(`FAIL ${name}: no golden file, run with --update to create it`);
+            failed++;
+            continue;
+        }
+
+        const differences = compareGolden(JSON.parse(fs.readFileSync(goldenPath, 'utf8')), actual);
+        if (differences.length === 0) {
+            console.log(`ok   ${name} (${questions.length} questions)`);
+        } else {
+            console.log(`FAIL ${name}`);
+            differences.forEach(line => console.log(`  ${line}`));
+            failed++;
+        }
+    }
+
+    if (!update) {
+        console.log(failed === 0 ? `\nAll ${files.length} files match` : `\n${failed} of ${files.length} files differ`);
+    }
+    return failed === 0;
+}
+
+/**
+ * Run the command given by the arguments; resolves to false when it failed
+ */
+async function main(args) {
+    if (args.includes('--check') || args.includes('--update')) {
+        return checkGoldens(args.includes('--update'));
+    }
+
+    const files = args.filter(arg => !arg.startsWith('--'));
+    if (files.length === 0) {
+        console.error('Usage: node parseCli.js [--stats] file.pdf... | --check | --update');
+        return false;
+    }
+
+    const results = [];
+    for (const filePath of files) {
+        const { questions, report } = await parseFile(filePath);
+        const result = { source: path.basename(filePath), stats: getStats(report) };
+        if (!args.includes('--stats')) result.questions = questions;
+        results.push(result);
+    }
+    console.log(JSON.stringify(results, null, 2));
+    return results.every(result => !result.stats.error);
+}
+
+main(process.argv.slice(2))
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,34 @@
+/**
+ * Parse Worker
+ * Extracts and parses one PDF per message off the main thread. Figures are
+ * located here but rendered by the page, which has a canvas.
+ */
+
+// The modules register themselves on window
+self.window = self;
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    'layoutExtractor.js',
+    'textCorrector.js',
+    'pdfParser.js'
+);
+
+const parser = new PDFParser();
+
+self.onmessage = async (event) => {
+    const { index, name, buffer, correctionRules, stripPatterns } = event.data;
+    const file = { name, arrayBuffer: async () => buffer };
+
+    parser.setCorrectionRules(correctionRules);
+    parser.setStripPatterns(stripPatterns);
+
+    try {
+        const report = parser.createReport(name);
+        const questions = await parser.parsePDFQuestions(file, report, (page, pages) => {
+            self.postMessage({ type: 'progress', index, page, pages });
+        });
+        self.postMessage({ type: 'done', index, questions, report });
+    } catch (error) {
+        self.postMessage({ type: 'error', index, message: error.message });
+    }
+};
@@ -0,0 +1,171 @@
+/**
+ * Parse Worker Pool Module
+ * Runs PDF extraction and parsing in parallel web workers (see parseWorker.js)
+ */
+
+class ParseWorkerPool {
+    constructor(scriptUrl = 'parseWorker.js', size = ParseWorkerPool.defaultSize()) {
+        this.scriptUrl = scriptUrl;
+        this.size = size;
+        this.workers = [];
+        // A worker that sends nothing for this long (ms) is given up on, e.g. when
+        // pdf.js couldn't be loaded from the CDN while offline
+        this.jobTimeout = 60000;
+    }
+
+    /**
+     * Leave a core for the page, and don't start more than four workers
+     */
+    static defaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.min(4, Math.max(1, cores - 1));
+    }
+
+    /**
+     * Workers can't be started from pages opened straight from disk
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof location !== 'undefined' && location.protocol !== 'file:';
+    }
+
+    /**
+     * Parse every file in a worker. Resolves to one entry per file, in order:
+     * { questions, report } when it parsed, or { error } so the caller can retry it
+     * on the main thread. Rejects with an AbortError when the signal is aborted.
+     */
+    parseAll(files, { correctionRules = [], stripPatterns = {}, onProgress = null, signal = null } = {}) {
+        const results = new Array(files.length).fill(null);
+        let next = 0;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Parsing was cancelled', 'AbortError'));
+                return;
+            }
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    this.terminate();
+                    reject(new DOMException('Parsing was cancelled', 'AbortError'));
+                }, { once: true });
+            }
+
+            let running = 0;
+            const startNext = (entry) => {
+                if (next >= files.length) {
+                    if (running === 0) resolve(results);
+                    return;
+                }
+                const index = next++;
+                running++;
+                this.runJob(entry, files[index], index, correctionRules, stripPatterns, onProgress)
+                    .then(result => { results[index] = result; })
+                    .finally(() => {
+                        running--;
+                        startNext(entry);
+                    });
+            };
+
+            const count = Math.min(this.size, files.length);
+            if (count === 0) resolve(results);
+            for (let i = 0; i < count; i++) {
+                const entry = this.startWorker();
+                this.workers.push(entry);
+                startNext(entry);
+            }
+        });
+    }
+
+    /**
+     * Start a worker with its listeners attached at once, so a failure to load
+     * its scripts isn't missed while the first file is being read. Returns
+     * { worker, job, error }, or null when workers can't be started.
+     */
+    startWorker() {
+        let worker;
+        try {
+            worker = new Worker(this.scriptUrl);
+        } catch (e) {
+            console.error('Error starting parse worker:', e);
+            return null;
+        }
+
+        const entry = { worker, job: null, error: null };
+        worker.addEventListener('message', (event) => {
+            if (entry.job) entry.job.onMessage(event.data);
+        });
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            console.error('Parse worker error:', event.message);
+            // A worker whose scripts failed to load drops every message, so stop using it
+            entry.error = event.message || 'Worker error';
+            worker.terminate();
+            if (entry.job) entry.job.finish({ error: entry.error });
+        });
+        return entry;
+    }
+
+    /**
+     * Send one file to a worker and wait for its result; never rejects
+     */
+    async runJob(entry, file, index, correctionRules, stripPatterns, onProgress) {
+        if (!entry || entry.error) return { error: (entry && entry.error) || 'Worker unavailable' };
+
+        const buffer = await file.arrayBuffer();
+        if (entry.error) return { error: entry.error };
+
+        return new Promise(resolve => {
+            let timer = null;
+            const restartTimer = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    console.error(`Parse worker timed out on ${file.name}`);
+                    entry.error = 'Worker timed out';
+                    entry.worker.terminate();
+                    job.finish({ error: entry.error });
+                }, this.jobTimeout);
+            };
+            const job = {
+                finish: (result) => {
+                    clearTimeout(timer);
+                    entry.job = null;
+                    resolve(result);
+                },
+                onMessage: (message) => {
+                    if (message.index !== index) return;
+
+                    if (message.type === 'progress') {
+                        restartTimer();
+                        if (onProgress) {
+                            onProgress({ index, name: file.name, page: message.page, pages: message.pages, status: 'parsing' });
+                        }
+                    } else if (message.type === 'done') {
+                        job.finish({ questions: message.questions, report: message.report });
+                    } else if (message.type === 'error') {
+                        console.error(`Worker failed on ${file.name}:`, message.message);
+                        job.finish({ error: message.message });
+                    }
+                }
+            };
+
+            entry.job = job;
+            restartTimer();
+            entry.worker.postMessage({ index, name: file.name, buffer, correctionRules, stripPatterns }, [buffer]);
+        });
+    }
+
+    /**
+     * Stop all workers
+     */
+    terminate() {
+        this.workers.forEach(entry => {
+            if (!entry) return;
+            entry.error = 'Worker stopped';
+            entry.worker.terminate();
+            if (entry.job) entry.job.finish({ error: entry.error });
+        });
+        this.workers = [];
+    }
+}
+
+// Export for use in pdfParser.js
+window.ParseWorkerPool = ParseWorkerPool;
@@ -10,139 +10,855 @@ class PDFParser {
             this.pdfjsLib.GlobalWorkerOptions.workerSrc =
                 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
         }
+        this.layoutExtractor = new LayoutExtractor(this.pdfjsLib);
+        this.textCorrector = new TextCorrector();
+        this.stripPatterns = {};
         this.questions = [];
+        this.reports = [];
+        // Questions of each file from the last load, in file order (file names can repeat)
+        this.fileQuestions = [];
+        this.ocrEngine = null;
+        // OCR confidence (0-100) from which a question counts as read well or fairly well
+        this.ocrLevels = { high: 85, medium: 60 };
+        // Bump when parsing output changes, so saved question banks are parsed again
+        this.parserVersion = 13;
     }
 
     /**
-     * Load all PDFs from the tech folder
+     * Set the OCR engine used for pages without a text layer (see OcrEngine)
      */
-    async loadPDFs(pdfFiles) {
+    setOcrEngine(engine) {
+        this.ocrEngine = engine;
+        this.layoutExtractor.ocrEngine = engine;
+    }
+
+    /**
+     * Check whether scanned pages can be read here
+     */
+    async canRunOcr() {
+        return this.ocrEngine ? this.ocrEngine.isAvailable() : false;
+    }
+
+    /**
+     * Why OCR failed to load or start in this session, or null
+     */
+    getOcrError() {
+        return this.ocrEngine ? this.ocrEngine.error : null;
+    }
+
+    /**
+     * Load all PDFs from the tech folder. Files are parsed in parallel in web
+     * workers when the page can start them, otherwise one after another here.
+     * onProgress receives { index, name, page, pages, status } updates; aborting
+     * the signal stops parsing with an AbortError. Workers can't run OCR, so files
+     * with scanned pages are parsed again here when an OCR engine is available.
+     */
+    async loadPDFs(pdfFiles, { onProgress = null, signal = null } = {}) {
         this.questions = [];
+        this.reports = [];
+        this.fileQuestions = [];
+        const progress = (update) => { if (onProgress) onProgress(update); };
 
-        for (const file of pdfFiles) {
+        let results = [];
+        if (ParseWorkerPool.isSupported()) {
+            const pool = new ParseWorkerPool();
             try {
-                const questions = await this.extractQuestionsFromPDF(file);
+                results = await pool.parseAll(pdfFiles, {
+                    correctionRules: this.textCorrector.userRules,
+                    stripPatterns: this.stripPatterns,
+                    onProgress: progress,
+                    signal: signal
+                });
+            } finally {
+                pool.terminate();
+            }
+        }
+
+        for (let index = 0; index < pdfFiles.length; index++) {
+            const file = pdfFiles[index];
+            const result = results[index];
+            this.throwIfAborted(signal);
+
+            let report = this.createReport(file.name);
+            let questions = [];
+            try {
+                const needsOcr = result && !result.error && result.report.scannedPages > 0 && await this.canRunOcr();
+                if (result && !result.error && !needsOcr) {
+                    report = result.report;
+                    questions = await this.finishQuestions(file, result.questions, report);
+                } else {
+                    // No worker, the worker failed on this file or it has scanned pages - parse it here
+                    questions = await this.extractQuestionsFromPDF(file, report, (page, pages) => {
+                        this.throwIfAborted(signal);
+                        progress({ index, name: file.name, page, pages, status: 'parsing' });
+                    });
+                }
                 this.questions.push(...questions);
+                progress({ index, name: file.name, status: 'done' });
             } catch (error) {
+                if (error.name === 'AbortError') throw error;
                 console.error(`Error loading ${file.name}:`, error);
+                report.error = error.message;
+                progress({ index, name: file.name, status: 'error' });
             }
+            this.reports.push(report);
+            this.fileQuestions.push(questions);
         }
 
+        if (this.ocrEngine) {
+            await this.ocrEngine.terminate();
+        }
         return this.questions;
     }
 
     /**
-     * Extract text from a PDF file
+     * Stop with an AbortError once the signal has been aborted
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Parsing was cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * Create an empty parse report for a source file
+     */
+    createReport(sourcePdf) {
+        return {
+            source: sourcePdf,
+            blocks: [],
+            fallback: false,
+            questionCount: 0,
+            missingAnswers: 0,
+            missingFigures: 0,
+            stripped: [],
+            answerKey: null,
+            scannedPages: 0,
+            ocrPages: 0,
+            error: null
+        };
+    }
+
+    /**
+     * Record the outcome of parsing one block in a report
+     */
+    addReportEntry(report, block, status, strategy, reason) {
+        if (!report) return;
+
+        const text = this.removeLineMarkers(block.text);
+        report.blocks.push({
+            number: block.num,
+            offset: block.offset,
+            preview: text.length > 120 ? text.substring(0, 120) + '...' : text,
+            status: status,
+            strategy: strategy,
+            reason: reason
+        });
+    }
+
+    /**
+     * Record why a strategy rejected a block and return null
+     */
+    rejectBlock(diag, strategy, reason) {
+        if (diag) {
+            diag.reasons.push(`${strategy}: ${reason}`);
+        }
+        return null;
+    }
+
+    /**
+     * Extract text from a PDF file, one line per row in reading order
      */
     async extractTextFromPDF(file) {
+        const pages = await this.extractLayoutFromPDF(file);
+        return this.layoutExtractor.toText(pages);
+    }
+
+    /**
+     * Load a PDF into pdf.js
+     */
+    async openPDF(file) {
         const arrayBuffer = await file.arrayBuffer();
-        const pdf = await this.pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        return this.pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    }
 
-        let fullText = '';
+    /**
+     * Extract the structured lines (position, font, paragraph breaks) of every page,
+     * without repeated headers, footers and watermarks or the source's strip patterns
+     */
+    async extractLayoutFromPDF(file, report = null, onPage = null) {
+        const pdf = await this.openPDF(file);
+        const pages = await this.layoutExtractor.extractPages(pdf, onPage);
 
-        for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const textContent = await page.getTextContent();
-            const pageText = textContent.items.map(item => item.str).join(' ');
-            fullText += pageText + '\n';
+        const stripped = [
+            ...this.layoutExtractor.removeRepeatedLines(pages),
+            ...this.layoutExtractor.removeMatchingLines(pages, this.getStripPatterns(file.name))
+        ];
+        if (report) {
+            const counts = new Map();
+            stripped.forEach(text => counts.set(text, (counts.get(text) || 0) + 1));
+            report.stripped = [...counts].map(([text, count]) => ({ text, count }));
+            report.scannedPages = pages.filter(page => page.scanned).length;
+            report.ocrPages = pages.filter(page => page.ocr).length;
         }
+        return pages;
+    }
 
-        return fullText;
+    /**
+     * Replace the user's strip patterns, keyed by source file name ('*' applies to every source)
+     */
+    setStripPatterns(patternsBySource) {
+        this.stripPatterns = patternsBySource || {};
+    }
+
+    /**
+     * Compile the strip patterns for a source. Patterns are case-insensitive
+     * regular expressions; one that doesn't compile is matched literally.
+     */
+    getStripPatterns(sourcePdf) {
+        const patterns = [...(this.stripPatterns['*'] || []), ...(this.stripPatterns[sourcePdf] || [])];
+        return patterns.filter(Boolean).map(pattern => {
+            try {
+                return new RegExp(pattern, 'gi');
+            } catch (e) {
+                console.error('Invalid strip pattern, matching it literally:', pattern);
+                return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+            }
+        });
     }
 
     /**
      * Extract questions from PDF text
      */
-    async extractQuestionsFromPDF(file) {
-        const text = await this.extractTextFromPDF(file);
-        const questions = this.parseQuestions(text, file.name);
+    async extractQuestionsFromPDF(file, report = null, onPage = null) {
+        const questions = await this.parsePDFQuestions(file, report, onPage);
+        return this.finishQuestions(file, questions, report);
+    }
+
+    /**
+     * Extract and parse the questions of a PDF. Figures are located, but only
+     * rendered where there is a DOM - not in the parse worker.
+     */
+    async parsePDFQuestions(file, report = null, onPage = null) {
+        const pages = await this.extractLayoutFromPDF(file, report, onPage);
+        const text = this.layoutExtractor.toText(pages);
+        const figures = new Map();
+        pages.forEach(page => page.figures.forEach(figure => figures.set(figure.id, figure)));
+
+        return this.parseQuestions(text, file.name, report, figures);
+    }
+
+    /**
+     * Render the figures a worker parse couldn't, drop the ones still without
+     * an image, and fill in the report counts
+     */
+    async finishQuestions(file, questions, report = null) {
+        const pending = questions.flatMap(q => q.figures).filter(figure => !figure.image);
+        if (pending.length > 0) {
+            await this.renderPendingFigures(file, pending);
+        }
+
+        questions.forEach(question => {
+            question.figures = question.figures
+                .filter(figure => figure.image)
+                .map(figure => ({ id: figure.id, page: figure.page, image: figure.image }));
+        });
+
+        if (report) {
+            this.summarizeReport(report, questions);
+        }
         return questions;
     }
 
+    /**
+     * Fill in the warnings and counts of a report from the finished questions
+     */
+    summarizeReport(report, questions) {
+        this.flagWarnings(report, questions);
+        report.questionCount = questions.length;
+        report.missingAnswers = questions.filter(q => q.answerConfidence === 'missing').length;
+        report.missingFigures = questions.filter(q => this.isMissingFigure(q)).length;
+    }
+
+    /**
+     * Render figure crops on the main thread, page by page
+     */
+    async renderPendingFigures(file, figures) {
+        if (typeof document === 'undefined') return;
+
+        try {
+            const pdf = await this.openPDF(file);
+            const pageNumbers = [...new Set(figures.map(figure => figure.page))];
+            for (const pageNumber of pageNumbers) {
+                const page = await pdf.getPage(pageNumber);
+                await this.layoutExtractor.renderFigures(page, figures.filter(figure => figure.page === pageNumber));
+            }
+        } catch (e) {
+            console.error('Error rendering figures:', e);
+        }
+    }
+
     /**
      * Parse questions from text using multiple patterns
      */
-    parseQuestions(text, sourcePdf) {
-        const questions = [];
+    parseQuestions(text, sourcePdf, report = null, figures = null) {
+        let questions = [];
 
-        // First fix ligatures in the entire text
-        let cleanText = this.fixLigatures(text)
-            .replace(/\s+/g, ' ')
-            .replace(/\r\n/g, '\n')
-            .trim();
+        // First fix ligatures in the entire text, keeping one line per row
+        // (and the indentation of ``` fenced code)
+        let cleanText = this.normalizeWhitespace(this.fixLigatures(text).replace(/\r\n?/g, '\n'));
+
+        // Cut out an answer key table at the end so its "1-B 2-C" pairs
+        // aren't mistaken for question numbers
+        const answerKey = this.extractAnswerKey(cleanText);
+        if (answerKey) {
+            cleanText = answerKey.text;
+        }
+
+        // Take out section headings, remembering where each section starts
+        const sections = this.extractSections(cleanText);
+        cleanText = sections.text;
 
         // Use a more robust parsing approach - split by question numbers first
         // Then parse each question block individually
-        const questionBlocks = this.splitIntoQuestionBlocks(cleanText);
+        const skippedBlocks = [];
+        const questionBlocks = this.splitIntoQuestionBlocks(cleanText, skippedBlocks);
         
         for (const block of questionBlocks) {
-            const parsed = this.parseQuestionBlock(block, sourcePdf);
+            const diag = { strategy: null, reasons: [] };
+            const parsed = this.parseQuestionBlock(block, sourcePdf, diag);
             if (parsed) {
+                parsed.ocrConfidence = this.getOcrConfidence(block.text);
+                parsed.topics = this.getSectionsAt(sections.headings, block.offset);
                 questions.push(parsed);
+                this.addReportEntry(report, block, 'parsed', diag.strategy, null);
+            } else {
+                this.addReportEntry(report, block, 'rejected', null, diag.reasons.join('; '));
             }
         }
 
         // If the block approach didn't work well, fall back to regex patterns
         if (questions.length < 5) {
-            return this.parseQuestionsFlexible(cleanText, sourcePdf);
+            if (report) {
+                report.fallback = true;
+                report.blocks = [];
+            }
+            const flatText = cleanText
+                .replace(/```|\[\[figure:[^\]]+\]\]/g, ' ')
+                .replace(this.ocrMarkerPattern(), ' ')
+                .replace(this.styleMarkerPattern(), ' ')
+                .replace(/\s+/g, ' ');
+            questions = this.parseQuestionsFlexible(flatText, sourcePdf, report);
+            // Blocks aren't tracked here, so go by the whole document
+            const ocrConfidence = this.getOcrConfidence(cleanText);
+            questions.forEach(question => { question.ocrConfidence = ocrConfidence; });
+        } else if (report) {
+            for (const block of skippedBlocks) {
+                this.addReportEntry(report, block, 'rejected', null, 'block shorter than 30 characters');
+            }
+            report.blocks.sort((a, b) => a.offset - b.offset);
+        }
+
+        if (answerKey) {
+            const applied = this.applyAnswerKey(questions, answerKey.entries);
+            if (report) {
+                report.answerKey = { entries: answerKey.entries.length, applied: applied };
+            }
+        }
+
+        this.attachFigures(questions, figures);
+        questions.forEach(question => { question.id = this.getQuestionId(question); });
+
+        if (report) {
+            this.flagWarnings(report, questions);
         }
 
         return questions;
     }
 
     /**
-     * Split text into question blocks by question numbers
+     * Build a stable ID from a question's content, so it survives renamed files
+     * and renumbering. Case, whitespace and option order don't matter.
+     */
+    getQuestionId(question) {
+        const normalize = (text) => (text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+        const options = question.options.map(opt => normalize(opt.text)).sort();
+        const content = [normalize(question.question), normalize(question.code), ...options].join('\u0000');
+        return `q-${this.hashText(content)}`;
+    }
+
+    /**
+     * 64-bit FNV-1a style hash of a string, as 16 hex digits
+     */
+    hashText(text) {
+        let h1 = 0x811c9dc5;
+        let h2 = 0xcbf29ce4;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 0x01000193);
+            h2 = Math.imul(h2 ^ code, 0x100001b3);
+        }
+        const hex = (h) => (h >>> 0).toString(16).padStart(8, '0');
+        return hex(h1) + hex(h2);
+    }
+
+    /**
+     * Drop the numeric timestamp prefix browsers' download folders give our PDFs
+     */
+    stripTimestamp(name) {
+        return name.replace(/^\d{10,}-/, '');
+    }
+
+    /**
+     * Collapse runs of spaces and blank lines, except inside ``` code fences
+     */
+    normalizeWhitespace(text) {
+        return text
+            .split(/(```[\s\S]*?```)/)
+            .map(part => part.startsWith('```') ? part : part
+                .replace(/[^\S\n]+/g, ' ')
+                .replace(/ ?\n ?/g, '\n')
+                .replace(/\n{3,}/g, '\n\n'))
+            .join('')
+            .trim();
+    }
+
+    /**
+     * Warn on parsed report entries whose question ended up without an answer
+     * key or refers to a figure that wasn't found (parsed entries are recorded
+     * in the same order as the questions)
+     */
+    flagWarnings(report, questions) {
+        const parsedEntries = report.blocks.filter(b => b.status === 'parsed');
+        parsedEntries.forEach((entry, i) => {
+            const question = questions[i];
+            const warnings = [];
+            if (question && question.answerConfidence === 'missing') warnings.push('no answer key found');
+            if (question && question.answerConfidence === 'style') warnings.push('answer taken from bold or colored text');
+            if (question && this.isMissingFigure(question)) warnings.push('refers to a figure but no image was found');
+            if (question && this.getOcrLevel(question) === 'low') warnings.push(`read by OCR with low confidence (${question.ocrConfidence}%)`);
+            entry.reason = warnings.length > 0 ? warnings.join('; ') : null;
+        });
+    }
+
+    /**
+     * Matches the [[ocr:confidence]] markers the layout extractor puts at the end
+     * of lines read by OCR
+     */
+    ocrMarkerPattern() {
+        return /\s*\[\[ocr:(\d+)\]\]/g;
+    }
+
+    /**
+     * Matches the [[style:bold|color|highlight]] markers the layout extractor puts
+     * at the end of lines set in bold, in color or on a highlight
+     */
+    styleMarkerPattern() {
+        return /\s*\[\[style:(\w+)\]\]/g;
+    }
+
+    /**
+     * Remove the OCR and style markers from text
+     */
+    removeLineMarkers(text) {
+        return text.replace(this.ocrMarkerPattern(), '').replace(this.styleMarkerPattern(), '');
+    }
+
+    /**
+     * Letters of the option lines in a question block that are bold, colored or highlighted
+     */
+    getStyledOptionLetters(text) {
+        const letters = text.split('\n')
+            .filter(line => this.styleMarkerPattern().test(line))
+            .map(line => line.match(/^\s*\(?([A-F])[.\)]\s/i))
+            .filter(Boolean)
+            .map(match => match[1].toUpperCase());
+        return [...new Set(letters)];
+    }
+
+    /**
+     * Take the answer of a question without a textual key from the styled options:
+     * one for a single-answer question, any number short of all for multi-select.
+     * Emphasis on every option is just the document's style, not a key.
+     */
+    applyStyledAnswer(question, letters) {
+        if (question.answer !== null) return;
+
+        const styled = letters.filter(letter => question.options.some(opt => opt.letter === letter));
+        if (styled.length === 0 || styled.length >= question.options.length) return;
+        if (question.type !== 'multiple' && styled.length > 1) return;
+
+        question.answer = question.type === 'multiple' ? styled.sort() : styled[0];
+        question.answerConfidence = 'style';
+    }
+
+    /**
+     * Lowest OCR confidence of the lines in a piece of text, or null when none
+     * of it was read by OCR
+     */
+    getOcrConfidence(text) {
+        const confidences = [...text.matchAll(this.ocrMarkerPattern())].map(match => Number(match[1]));
+        return confidences.length > 0 ? Math.min(...confidences) : null;
+    }
+
+    /**
+     * 'high', 'medium' or 'low' for a question read by OCR, null otherwise
+     */
+    getOcrLevel(question) {
+        if (question.ocrConfidence === null || question.ocrConfidence === undefined) return null;
+        if (question.ocrConfidence >= this.ocrLevels.high) return 'high';
+        return question.ocrConfidence >= this.ocrLevels.medium ? 'medium' : 'low';
+    }
+
+    /**
+     * Replace the figure ids found in each question block with the figures
+     * themselves, keeping their position so unrendered ones can be rendered later
+     */
+    attachFigures(questions, figures) {
+        for (const question of questions) {
+            question.figures = (question.figures || [])
+                .map(id => figures ? figures.get(id) : null)
+                .filter(Boolean)
+                .map(figure => ({ ...figure }));
+        }
+    }
+
+    /**
+     * Check whether a question mentions a figure ("refer to the circuit shown",
+     * "in the given ER diagram") but has no image attached
+     */
+    isMissingFigure(question) {
+        const text = `${question.question} ${question.code || ''}`;
+        const mentionsFigure = /\b(?:figure|fig\.|diagram|circuit|graph|chart|image|picture|waveform|table)\s+(?:shown|given|below|above)\b|\b(?:shown|given|following|above|below)\s+(?:[\w-]+\s+)?(?:figure|fig\.|diagram|circuit|graph|chart|image|picture|waveform|table)\b|\brefer\s+to\s+the\s+(?:figure|fig\.|diagram|circuit|graph|chart|image|picture|waveform|table)\b/i.test(text);
+        return mentionsFigure && (!question.figures || question.figures.length === 0);
+    }
+
+    /**
+     * Find section headings ("Operating Systems", "Section B: DBMS") and cut them
+     * out of the text. A heading is a short line of its own right before a
+     * question, after a paragraph break or written in title case after a
+     * question's answer or explanation; document titles ("CS SET 1", "Quiz")
+     * don't count. Returns { text, headings } where
+     * headings are [{ offset, topic }] with offsets into the returned text.
+     */
+    extractSections(text) {
+        const lines = text.split('\n');
+        const kept = [];
+        const headings = [];
+        let offset = 0;
+        let inCode = false;
+
+        lines.forEach((line, i) => {
+            if (line.trim().startsWith('```')) inCode = !inCode;
+            const topic = inCode ? null : this.getSectionHeading(lines, i);
+            if (topic) {
+                headings.push({ offset, topic });
+                return;
+            }
+            kept.push(line);
+            offset += line.length + 1;
+        });
+
+        return { text: kept.join('\n'), headings };
+    }
+
+    /**
+     * The topic named by a line if it is a section heading, otherwise null
+     */
+    getSectionHeading(lines, index) {
+        const text = this.removeLineMarkers(lines[index]).trim();
+        const next = lines.slice(index + 1).find(line => line.trim());
+        if (!text || !next || !/^(?:Q\.?\s*)?\d{1,3}[.\)]\s/i.test(next)) return null;
+
+        const words = text.split(/\s+/);
+        if (text.length > 50 || words.length > 6 || !/^[A-Z]/.test(text) || /[.?,;=]$/.test(text)) return null;
+        if (/^(?:Q\.?\s*)?\d{1,3}[.\)]|^\(?[A-F][.\)]\s|^(?:Correct\s+)?(?:Answers?|Ans|Explanation)\b/i.test(text)) return null;
+
+        // Without a paragraph break, a title-case line only counts after a question
+        // has ended - otherwise it may be the wrapped end of an option
+        const titleCase = words.every(word => /^[^a-z]/.test(word) || /^(?:and|or|of|the|in|for|to|&)$/.test(word));
+        const afterBreak = index === 0 || !lines[index - 1].trim();
+        if (!afterBreak && (!titleCase || !this.followsFinishedQuestion(lines, index))) return null;
+
+        const topic = text.replace(/^(?:Section|Part|Unit|Chapter|Module|Topic)\s*[\w]{0,3}\s*[:.\-–]\s*/i, '').trim();
+        return topic && !this.isDocumentTitle(topic) ? topic : null;
+    }
+
+    /**
+     * Whether the lines above a line end with a question's answer or explanation
+     * (or come before the first question) rather than with a question or option
+     * that may still be running on
+     */
+    followsFinishedQuestion(lines, index) {
+        for (let i = index - 1; i >= 0; i--) {
+            const line = this.removeLineMarkers(lines[i]).trim();
+            if (!line) return true;
+            if (/(?:^|\s)(?:Correct\s+)?(?:Answers?|Ans)\s*:|^Exp(?:lanation)?\s*:/i.test(line)) return true;
+            if (/^(?:Q\.?\s*)?\d{1,3}[.\)]\s|^\(?[A-F][.\)]\s/i.test(line)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check whether a heading names the document ("CS SET 1", "Quiz 2024")
+     * rather than a topic
+     */
+    isDocumentTitle(text) {
+        return /\b(?:set|paper|quiz|test|exam|mcqs?|q\s*&\s*a|questions?|answers?)\b|\d{4}/i.test(text);
+    }
+
+    /**
+     * Topics of the section a question block starts in (none before the first heading)
+     */
+    getSectionsAt(headings, offset) {
+        const heading = headings.filter(h => h.offset <= offset).pop();
+        return heading ? [heading.topic] : [];
+    }
+
+    /**
+     * Find an answer key printed at the end of the document ("1-B 2-C 3-A ..."
+     * or a grid of numbers followed by letters) and cut it out of the text.
+     * Returns null when there is no key section.
+     */
+    extractAnswerKey(text) {
+        // A headed key section - use the last heading that is followed by key pairs.
+        // The heading must be a line of its own, so "answers" in a question isn't one.
+        const headingRegex = /(?:^|\n)[ \t]*(?:Answer[ \t]*Keys?|Answers|Key[ \t]*to[ \t]*(?:the[ \t]*)?Questions|Solutions)[ \t]*[:\-]?(?:[ \t]*\[\[\w+:\w+\]\])*[ \t]*(?=\n|$)/gi;
+        const headings = [];
+        let match;
+        while ((match = headingRegex.exec(text)) !== null) {
+            headings.push(match);
+        }
+
+        for (let i = headings.length - 1; i >= 0; i--) {
+            const region = text.substring(headings[i].index + headings[i][0].length);
+            const entries = this.parseAnswerKeyPairs(region);
+            const optionMarkers = (region.match(/(?:^|\s)\(?[A-F][.\)]\s/g) || []).length;
+
+            if (entries.length >= 3 && optionMarkers < entries.length / 2) {
+                return { text: text.substring(0, headings[i].index).trim(), entries: entries };
+            }
+        }
+
+        // An unheaded key - a long trailing run of number-letter pairs
+        const pairRegex = /(?:^|\s)(\d{1,3})\s*[-.):]?\s*\(?([A-Fa-f])\)?(?=[\s|,;.]|$)/g;
+        const pairs = [];
+        while ((match = pairRegex.exec(text)) !== null) {
+            pairs.push({ start: match.index, end: match.index + match[0].length });
+        }
+        if (pairs.length === 0) return null;
+
+        let runStart = pairs.length - 1;
+        while (runStart > 0 && /^[\s|,;.]*$/.test(this.removeLineMarkers(text.substring(pairs[runStart - 1].end, pairs[runStart].start)))) {
+            runStart--;
+        }
+
+        const trailing = text.substring(pairs[pairs.length - 1].end).replace(/\s/g, '');
+        if (pairs.length - runStart >= 10 && trailing.length < 100) {
+            const start = pairs[runStart].start;
+            return {
+                text: text.substring(0, start).trim(),
+                entries: this.parseAnswerKeyPairs(text.substring(start))
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Read number-letter pairs from an answer key section. Handles "1-B", "1. B",
+     * "1 (B)" and grids where a row of numbers is followed by a row of letters.
+     * Numbering that restarts at 1 (e.g. per section) starts a new key section.
      */
-    splitIntoQuestionBlocks(text) {
+    parseAnswerKeyPairs(region) {
+        const tokens = region
+            .replace(/\b(?:Section|Part)\s+[A-Z0-9]+\b/gi, ' # ')
+            .match(/#|\d{1,3}|\b[A-Fa-f]\b/g) || [];
+        const isNumber = (token) => /^\d+$/.test(token);
+        const isLetter = (token) => /^[A-Fa-f]$/.test(token);
+
+        const pairs = [];
+        let i = 0;
+        while (i < tokens.length) {
+            let j = i;
+            while (j < tokens.length && isNumber(tokens[j])) j++;
+            let k = j;
+            while (k < tokens.length && isLetter(tokens[k])) k++;
+
+            const numbers = j - i;
+            const letters = k - j;
+
+            if (numbers === 0) {
+                // Stray letter or section marker
+                i = Math.max(k, i + 1);
+            } else if (numbers > 1 && letters === numbers) {
+                // Grid: a row of numbers followed by a row of letters
+                for (let m = 0; m < numbers; m++) {
+                    pairs.push([tokens[i + m], tokens[j + m]]);
+                }
+                i = k;
+            } else if (letters > 0) {
+                // Pair the last number with the first letter (earlier numbers are page numbers etc.)
+                pairs.push([tokens[j - 1], tokens[j]]);
+                i = j + 1;
+            } else {
+                i = j;
+            }
+        }
+
+        const entries = [];
+        let section = 0;
+        let previous = 0;
+        for (const [numText, letter] of pairs) {
+            const number = parseInt(numText);
+            if (this.startsNewSection(number, previous)) section++;
+            previous = number;
+            entries.push({ section: section, number: number, letter: letter.toUpperCase() });
+        }
+        return entries;
+    }
+
+    /**
+     * Whether numbering that goes from previous to number starts a new section.
+     * Answer keys and questions use the same rule, so their sections line up.
+     */
+    startsNewSection(number, previous) {
+        return number === 1 && previous > 0;
+    }
+
+    /**
+     * Join answer key entries to questions that have no inline key.
+     * When the key has several sections, questions are split into sections
+     * wherever their numbering restarts at 1.
+     * Returns the number of questions that received an answer.
+     */
+    applyAnswerKey(questions, entries) {
+        const multiSection = entries.some(e => e.section > 0);
+        const lookup = new Map();
+        for (const entry of entries) {
+            lookup.set(`${multiSection ? entry.section : 0}-${entry.number}`, entry.letter);
+        }
+
+        let applied = 0;
+        let section = 0;
+        let previous = 0;
+        for (const question of questions) {
+            if (this.startsNewSection(question.number, previous)) section++;
+            previous = question.number;
+
+            const letter = lookup.get(`${multiSection ? section : 0}-${question.number}`);
+            if (letter && question.answerConfidence !== 'explicit' && question.options.some(opt => opt.letter === letter)) {
+                question.answer = question.type === 'multiple' ? [letter] : letter;
+                question.answerConfidence = 'explicit';
+                applied++;
+            }
+        }
+        return applied;
+    }
+
+    /**
+     * Split text into question blocks by question numbers. When the text has
+     * line structure, only numbers that start a line begin a question, so
+     * "127.0.0.1" or "78.5%" in the middle of a line can't split a block.
+     */
+    splitIntoQuestionBlocks(text, skipped = null) {
         const blocks = [];
         // Match question numbers like "1.", "Q1.", "Q.1", "1)" etc.
-        const regex = /(?:^|\s)(?:Q\.?\s*)?(\d{1,3})[.\)]\s*/gi;
-        let lastIndex = 0;
-        let lastNum = null;
-        let match;
+        const lineStartRegex = /(?:^|\n)(?:Q\.?\s*)?(\d{1,3})[.\)]\s*/gi;
+        const anywhereRegex = /(?:^|\s)(?:Q\.?\s*)?(\d{1,3})[.\)]\s*/gi;
         
-        const matches = [];
-        while ((match = regex.exec(text)) !== null) {
-            matches.push({
-                index: match.index,
-                num: parseInt(match[1]),
-                length: match[0].length
-            });
+        let matches = this.findQuestionNumbers(text, lineStartRegex);
+        if (matches.length < 5) {
+            matches = this.findQuestionNumbers(text, anywhereRegex);
         }
+
+        // Numbered lines inside code never start a question
+        const fences = [...text.matchAll(/```[\s\S]*?```/g)]
+            .map(fence => [fence.index, fence.index + fence[0].length]);
+        matches = matches.filter(m => !fences.some(([from, to]) => m.index > from && m.index < to));
         
         for (let i = 0; i < matches.length; i++) {
             const start = matches[i].index;
             const end = i < matches.length - 1 ? matches[i + 1].index : text.length;
             const blockText = text.substring(start, end).trim();
+            const block = {
+                num: matches[i].num,
+                offset: start,
+                text: blockText
+            };
             if (blockText.length > 30) {
-                blocks.push({
-                    num: matches[i].num,
-                    text: blockText
-                });
+                blocks.push(block);
+            } else if (skipped) {
+                skipped.push(block);
             }
         }
         
         return blocks;
     }
 
+    /**
+     * Collect the position and number of every question number match. The
+     * position is that of the number itself, after the line break or space the
+     * pattern matched, so a block starts where a section heading before it ends.
+     */
+    findQuestionNumbers(text, regex) {
+        const matches = [];
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            matches.push({
+                index: match.index + match[0].search(/\S/),
+                num: parseInt(match[1]),
+                length: match[0].length
+            });
+        }
+        return matches;
+    }
+
     /**
      * Parse a single question block
      */
-    parseQuestionBlock(block, sourcePdf) {
+    parseQuestionBlock(block, sourcePdf, diag = null) {
         const text = block.text;
         const num = block.num;
         
-        // Remove the question number prefix
-        let withoutNum = text.replace(/^(?:Q\.?\s*)?\d{1,3}[.\)]\s*/, '').trim();
+        // Remove the question number prefix and take out the code snippet.
+        // Line breaks become a double space, which the option parser treats
+        // as a strong marker boundary
+        const figureIds = [];
+        const withoutFigures = text.replace(/\[\[figure:([^\]]+)\]\]/g, (marker, id) => {
+            figureIds.push(id);
+            return '';
+        });
+        const styledLetters = this.getStyledOptionLetters(withoutFigures);
+        const snippet = this.extractCode(this.removeLineMarkers(withoutFigures).replace(/^(?:Q\.?\s*)?\d{1,3}[.\)]\s*/, ''));
+        let withoutNum = snippet.text
+            .replace(/\s*\n\s*/g, '  ')
+            .trim();
+        const explanation = this.extractExplanation(withoutNum);
         
         // STEP 1: Extract the answer FIRST before processing options
         let extractedAnswer = null;
-        const answerRegex = /\s*(?:Answer|Ans|ANS|Correct)\s*[:\s]\s*([A-Da-d])\s*[.\)]/i;
-        const answerMatch = withoutNum.match(answerRegex);
-        if (answerMatch) {
+        let answerText = null;
+        // A bare letter also counts when nothing but the explanation follows ("Correct Answer: C Explanation:")
+        const answerRegex = /\s*(?:Correct\s+)?(?:Answer|Ans|ANS|Correct)\s*[:\s]\s*([A-Fa-f])(?:\s*[.\)]|\s*$|\s+(?=Explanation\s*:))/i;
+        // Multi-select keys list several letters ("Answer: A, C", "Answers: B and D")
+        const multiAnswerRegex = /\s*(?:Correct\s+)?(?:Answers?|Ans|ANS|Correct)\s*[:\s]\s*([A-F](?:\s*(?:,|&|\band\b)\s*[A-F])+)(?:\s*[.\)]|\s*$|\s+(?=Explanation\s*:))/i;
+        const multiAnswerMatch = withoutNum.match(multiAnswerRegex);
+        const answerMatch = multiAnswerMatch || withoutNum.match(answerRegex);
+        if (multiAnswerMatch) {
+            extractedAnswer = this.parseAnswerLetters(multiAnswerMatch[1]);
+            withoutNum = withoutNum.substring(0, multiAnswerMatch.index).trim();
+        } else if (answerMatch) {
             extractedAnswer = answerMatch[1].toUpperCase();
             // Remove the Answer: X) and everything after it (Explanation, etc.)
             withoutNum = withoutNum.substring(0, answerMatch.index).trim();
+        } else {
+            // No lettered key - keep "Answer: <text>" so it can be matched against the options
+            const answerTextMatch = withoutNum.match(/\s*(?:Correct\s+)?(?:Answer|Ans|Correct)\s*:\s*(.+?)(?=\s*Explanation\s*:|$)/i);
+            if (answerTextMatch) {
+                answerText = answerTextMatch[1];
+                withoutNum = withoutNum.substring(0, answerTextMatch.index).trim();
+            }
         }
         
         // Also try to remove "Explanation:" and anything after it
@@ -153,19 +869,154 @@ class PDFParser {
         
         // STEP 2: Use sequential parsing to find options properly
         // This handles cases where expressions contain letter+paren like (A + B)'
-        const result = this.parseOptionsSequentially(withoutNum, num, sourcePdf, extractedAnswer);
-        if (result) {
-            return result;
-        }
+        const result = this.parseOptionsSequentially(withoutNum, num, sourcePdf, extractedAnswer, diag);
         
-        // Fallback: try a more lenient approach
-        return this.parseQuestionLenient(withoutNum, num, sourcePdf, extractedAnswer);
+        // Fallback: try a more lenient approach - also when the strict marker rules
+        // stopped early, in which case the parse with more options wins
+        const lenient = result && result.options.length >= 4
+            ? null
+            : this.parseQuestionLenient(withoutNum, num, sourcePdf, extractedAnswer, diag);
+        let question = null;
+        if (result && (!lenient || lenient.options.length <= result.options.length)) {
+            if (diag) diag.strategy = 'parseOptionsSequentially';
+            question = this.resolveAnswer(result, answerText);
+        } else if (lenient) {
+            if (diag) diag.strategy = 'parseQuestionLenient';
+            question = this.resolveAnswer(lenient, answerText);
+        } else {
+            // Last resort: an unlettered True/False statement
+            question = this.parseTrueFalse(withoutNum, num, sourcePdf, extractedAnswer, answerText, diag);
+            if (question && diag) {
+                diag.strategy = 'parseTrueFalse';
+            }
+        }
+
+        if (question) {
+            this.applyStyledAnswer(question, styledLetters);
+            question.explanation = explanation;
+            question.code = snippet.code;
+            question.figures = figureIds;
+        }
+        return question;
+    }
+
+    /**
+     * Take ``` fenced code that comes before the options out of a question
+     * block. Fences further down (inside options or explanations) are just
+     * unwrapped, as options are shown as plain text.
+     */
+    extractCode(text) {
+        const firstOption = text.search(/\n\(?A[.\)]\s/);
+        const snippets = [];
+        const remaining = text.replace(/```\n?([\s\S]*?)\n?```/g, (fence, code, offset) => {
+            if (firstOption !== -1 && offset > firstOption) {
+                return code;
+            }
+            snippets.push(code.replace(/\s+$/, ''));
+            return '\n';
+        });
+
+        return {
+            text: remaining,
+            code: snippets.length > 0 ? snippets.join('\n') : null
+        };
+    }
+
+    /**
+     * Pull the "Explanation:" text out of a question block, or null if there is none
+     */
+    extractExplanation(text) {
+        const match = text.match(/\bExp(?:lanation)?\s*:\s*([\s\S]*)$/i);
+        if (!match) return null;
+
+        return this.cleanText(match[1]) || null;
+    }
+
+    /**
+     * Build the question object shared by all parse strategies and the question
+     * file importers (typed)
+     */
+    createQuestion(num, sourcePdf, questionText, optionTexts, answer, answerConfidence, typed = false) {
+        // Typed question files skip the repairs meant for text from broken PDF fonts
+        const options = optionTexts.map((text, i) => ({
+            letter: String.fromCharCode(65 + i),
+            text: typed ? this.escapeHtml(this.cleanTypedText(text)) : this.cleanOption(text)
+        }));
+
+        // Multi-select questions carry an array of letters as their answer
+        const multiple = Array.isArray(answer) || this.isMultiSelectPrompt(questionText);
+        if (multiple && typeof answer === 'string') answer = [answer];
+        if (Array.isArray(answer)) {
+            answer = answer.filter(letter => options.some(opt => opt.letter === letter));
+            if (answer.length === 0) {
+                answer = null;
+                answerConfidence = 'missing';
+            }
+        }
+
+        return {
+            id: null, // set from the finished content by getQuestionId
+            number: num,
+            type: multiple ? 'multiple' : 'single',
+            question: typed ? this.cleanTypedText(questionText) : this.cleanText(questionText),
+            options: options,
+            answer: answer,
+            answerConfidence: answerConfidence,
+            explanation: null,
+            code: null,
+            figures: [],
+            ocrConfidence: null, // lowest OCR confidence of its lines, when read from a scan
+            topics: [], // section heading it was found under
+            source: sourcePdf
+        };
+    }
+
+    /**
+     * Split a multi-letter answer key ("A, C", "B and D") into sorted, unique letters
+     */
+    parseAnswerLetters(text) {
+        const letters = text.toUpperCase().match(/\b[A-F]\b/g) || [];
+        return [...new Set(letters)].sort();
+    }
+
+    /**
+     * Check whether the question asks for more than one answer
+     */
+    isMultiSelectPrompt(questionText) {
+        return /\b(?:choose|select|pick|mark)\s+(?:two|three|four|all)\b|\ball\s+that\s+apply\b/i.test(questionText);
+    }
+
+    /**
+     * Match a textual answer key ("Answer: Modem") against the options
+     * when no answer letter was found
+     */
+    resolveAnswer(question, answerText = null) {
+        if (!question || question.answer || !answerText) {
+            return question;
+        }
+
+        const key = this.normalizeForMatch(this.cleanOption(answerText));
+        const option = question.options
+            .find(opt => key && this.normalizeForMatch(opt.text) === key);
+
+        if (option) {
+            question.answer = question.type === 'multiple' ? [option.letter] : option.letter;
+            question.answerConfidence = 'inferred';
+        }
+        return question;
+    }
+
+    /**
+     * Reduce text to lowercase letters and digits for loose comparison
+     */
+    normalizeForMatch(text) {
+        return (text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
     }
 
     /**
      * Parse options sequentially - handles math expressions correctly
      */
-    parseOptionsSequentially(text, num, sourcePdf, extractedAnswer) {
+    parseOptionsSequentially(text, num, sourcePdf, extractedAnswer, diag = null) {
         // Find all potential option markers
         // Real option markers typically have: double-space before, or appear after end-of-text chars
         // NOT after operators like +, -, *, /
@@ -173,8 +1024,9 @@ class PDFParser {
         const optionPositions = [];
         
         // Look for pattern: whitespace + letter + ) or . + content  
-        // We'll filter out false positives below
-        const markerRegex = /(?:^|\s)([A-D])[.\)]\s*/gi;
+        // We'll filter out false positives below. The space after the marker isn't
+        // consumed, so "C)" inside "A(B + C)  B) ..." can't swallow the space before "B)"
+        const markerRegex = /(?:^|\s)([A-F])[.\)]/gi;
         let match;
         
         while ((match = markerRegex.exec(text)) !== null) {
@@ -205,7 +1057,7 @@ class PDFParser {
             }
             
             // For option A, accept start of string or after question mark/colon
-            // For options B, C, D - prefer double-space or after closing paren/quote
+            // For later options - prefer double-space or after closing paren/quote
             if (letter !== 'A') {
                 // Check if we have double-space OR end-of-previous-option char
                 const hasDoubleSpace = /\s$/.test(twoCharsBefore);
@@ -224,185 +1076,231 @@ class PDFParser {
             });
         }
         
-        // We need exactly 4 options (A, B, C, D) in order
-        const orderedOptions = ['A', 'B', 'C', 'D'];
         const foundOptions = {};
-        
         for (const opt of optionPositions) {
             if (!foundOptions[opt.letter]) {
                 foundOptions[opt.letter] = opt;
             }
         }
         
-        // Check we have all 4 options
-        if (!foundOptions.A || !foundOptions.B || !foundOptions.C || !foundOptions.D) {
-            return null;
+        // Take consecutive letters from A onwards, each after the previous one
+        const sorted = [];
+        for (const letter of ['A', 'B', 'C', 'D', 'E', 'F']) {
+            const opt = foundOptions[letter];
+            if (!opt) break;
+            if (sorted.length > 0 && opt.start < sorted[sorted.length - 1].start) {
+                return this.rejectBlock(diag, 'parseOptionsSequentially', `option ${letter} appears before option ${sorted[sorted.length - 1].letter}`);
+            }
+            sorted.push(opt);
         }
         
-        // Sort by position
-        const sorted = [foundOptions.A, foundOptions.B, foundOptions.C, foundOptions.D];
-        sorted.sort((a, b) => a.start - b.start);
-        
-        // Verify they're in order A, B, C, D
-        if (sorted[0].letter !== 'A' || sorted[1].letter !== 'B' || 
-            sorted[2].letter !== 'C' || sorted[3].letter !== 'D') {
-            return null;
+        // Need at least two options
+        if (sorted.length < 2) {
+            const missing = sorted.length === 0 ? 'A' : 'B';
+            return this.rejectBlock(diag, 'parseOptionsSequentially', `missing option ${missing}`);
         }
         
         // Extract question (before option A) and options
         const question = text.substring(0, sorted[0].start).trim();
-        const optA = text.substring(sorted[0].contentStart, sorted[1].start).trim();
-        const optB = text.substring(sorted[1].contentStart, sorted[2].start).trim();
-        const optC = text.substring(sorted[2].contentStart, sorted[3].start).trim();
-        const optD = text.substring(sorted[3].contentStart).trim();
+        const optionTexts = sorted.map((opt, i) => {
+            const end = i < sorted.length - 1 ? sorted[i + 1].start : text.length;
+            return text.substring(opt.contentStart, end).trim();
+        });
         
-        if (question.length > 10 && optA && optB && optC && optD) {
-            return {
-                id: `${sourcePdf}-${num}`,
-                number: num,
-                question: this.cleanText(question),
-                options: {
-                    A: this.cleanOption(optA),
-                    B: this.cleanOption(optB),
-                    C: this.cleanOption(optC),
-                    D: this.cleanOption(optD)
-                },
-                answer: extractedAnswer || 'A',
-                source: sourcePdf
-            };
+        if (this.endsWithOptionMarker(optionTexts)) {
+            return this.rejectBlock(diag, 'parseOptionsSequentially', 'block cut off after an option marker');
         }
         
-        return null;
+        if (question.length > 10 && optionTexts.every(opt => opt)) {
+            return this.createQuestion(num, sourcePdf, question, optionTexts,
+                extractedAnswer, extractedAnswer ? 'explicit' : 'missing');
+        }
+        
+        return this.rejectBlock(diag, 'parseOptionsSequentially',
+            question.length <= 10 ? 'question text too short' : 'empty option text');
     }
 
     /**
      * Lenient question parsing for edge cases
      */
-    parseQuestionLenient(text, num, sourcePdf, preExtractedAnswer = null) {
+    parseQuestionLenient(text, num, sourcePdf, preExtractedAnswer = null, diag = null) {
         // Find option markers by looking for consistent pattern
-        // A) ... B) ... C) ... D) or (A) ... (B) ... (C) ... (D)
+        // A) ... B) ... C) ... or (A) ... (B) ... (C) ...
         
-        let optA = '', optB = '', optC = '', optD = '', question = '', answer = preExtractedAnswer || 'A';
+        let question = '', answer = preExtractedAnswer;
+        let answerConfidence = preExtractedAnswer ? 'explicit' : 'missing';
         
         // Only try to extract answer if not already provided
         if (!preExtractedAnswer) {
-            const answerMatch = text.match(/(?:Answer|Ans|ANS|Correct)[:\s]*([A-Da-d])[\s.\)]*(?:Explanation)?/i);
+            const answerMatch = text.match(/(?:Answer|Ans|ANS|Correct)[:\s]*([A-Fa-f])[\s.\)]*(?:Explanation)?/i);
             if (answerMatch) {
                 answer = answerMatch[1].toUpperCase();
+                answerConfidence = 'explicit';
                 text = text.substring(0, answerMatch.index).trim();
             }
         }
         
-        // Find options using split approach - find all A), B), C), D) or (A), (B), (C), (D)
+        // Find options using split approach - peel options off the end, starting from
+        // the highest letter that has a marker
         // Use a smarter split that respects parenthetical expressions
-        
-        const dMatch = text.match(/\s+(?:D[.\)]|\(D\))\s*(.+?)$/i);
-        if (dMatch) {
-            optD = dMatch[1];
-            text = text.substring(0, dMatch.index).trim();
-        } else {
-            return null;
+        const markerFor = (letter) => new RegExp(`\\s+(?:${letter}[.\\)]|\\(${letter}\\))\\s*(.+?)$`, 'i');
+        const letters = ['A', 'B', 'C', 'D', 'E', 'F'];
+        let last = letters.length - 1;
+        while (last > 0 && !markerFor(letters[last]).test(text)) {
+            last--;
         }
-        
-        const cMatch = text.match(/\s+(?:C[.\)]|\(C\))\s*(.+?)$/i);
-        if (cMatch) {
-            optC = cMatch[1];
-            text = text.substring(0, cMatch.index).trim();
-        } else {
-            return null;
+        if (last === 0) {
+            return this.rejectBlock(diag, 'parseQuestionLenient', 'no option B marker');
         }
         
-        const bMatch = text.match(/\s+(?:B[.\)]|\(B\))\s*(.+?)$/i);
-        if (bMatch) {
-            optB = bMatch[1];
-            text = text.substring(0, bMatch.index).trim();
-        } else {
-            return null;
+        const optionTexts = [];
+        for (let i = last; i >= 0; i--) {
+            const optMatch = text.match(markerFor(letters[i]));
+            if (!optMatch) {
+                return this.rejectBlock(diag, 'parseQuestionLenient', `no option ${letters[i]} marker`);
+            }
+            optionTexts.unshift(optMatch[1]);
+            text = text.substring(0, optMatch.index).trim();
         }
+        question = text;
         
-        const aMatch = text.match(/\s+(?:A[.\)]|\(A\))\s*(.+?)$/i);
-        if (aMatch) {
-            optA = aMatch[1];
-            question = text.substring(0, aMatch.index).trim();
-        } else {
-            return null;
+        if (this.endsWithOptionMarker(optionTexts)) {
+            return this.rejectBlock(diag, 'parseQuestionLenient', 'block cut off after an option marker');
         }
         
-        if (question.length > 10 && optA && optB && optC && optD) {
-            return {
-                id: `${sourcePdf}-${num}`,
-                number: num,
-                question: this.cleanText(question),
-                options: {
-                    A: this.cleanOption(optA),
-                    B: this.cleanOption(optB),
-                    C: this.cleanOption(optC),
-                    D: this.cleanOption(optD)
-                },
-                answer: answer,
-                source: sourcePdf
-            };
+        if (question.length > 10 && optionTexts.every(opt => opt)) {
+            return this.createQuestion(num, sourcePdf, question, optionTexts, answer, answerConfidence);
         }
         
-        return null;
+        return this.rejectBlock(diag, 'parseQuestionLenient',
+            question.length <= 10 ? 'question text too short' : 'empty option text');
+    }
+
+    /**
+     * Check whether the last option ends in a bare marker like "C)" - a sign the
+     * block was split early (e.g. at "78.5%") and the remaining options are lost
+     */
+    endsWithOptionMarker(optionTexts) {
+        const lastOption = optionTexts[optionTexts.length - 1] || '';
+        const marker = lastOption.match(/(?:^|\s)[A-F]([.\)])$/);
+        if (!marker) return false;
+
+        // "(C + A)" closes its own parenthesis - only an unmatched ")" is a marker
+        const opens = (lastOption.match(/\(/g) || []).length;
+        const closes = (lastOption.match(/\)/g) || []).length;
+        return marker[1] === '.' || closes > opens;
+    }
+
+    /**
+     * Parse an unlettered True/False statement ("... (True/False)" or a
+     * statement whose answer is "True" or "False")
+     */
+    parseTrueFalse(text, num, sourcePdf, extractedAnswer, answerText, diag = null) {
+        const markerRegex = /\s*(?:\(?\s*True\s*(?:\/|or|\s)\s*False\s*\)?|\(?\s*T\s*\/\s*F\s*\)?)\s*[.?]?\s*$/i;
+        const markerMatch = text.match(markerRegex);
+        const answerWord = answerText ? answerText.trim().match(/^(True|False|T|F)\b/i) : null;
+
+        if (!markerMatch && !answerWord) {
+            return this.rejectBlock(diag, 'parseTrueFalse', 'not a True/False statement');
+        }
+
+        const question = markerMatch ? text.substring(0, markerMatch.index).trim() : text;
+        if (question.length <= 10) {
+            return this.rejectBlock(diag, 'parseTrueFalse', 'question text too short');
+        }
+
+        let answer = extractedAnswer && 'AB'.includes(extractedAnswer) ? extractedAnswer : null;
+        if (!answer && answerWord) {
+            answer = answerWord[1].toUpperCase().startsWith('T') ? 'A' : 'B';
+        }
+
+        return this.createQuestion(num, sourcePdf, question, ['True', 'False'],
+            answer, answer ? 'explicit' : 'missing');
+    }
+
+    /**
+     * Build a regex for the flexible parser matching a question with the given
+     * number of options, in "A)" or "(A)" style
+     */
+    buildFlexiblePattern(optionCount, parenthesized) {
+        let pattern = '^(.+?)';
+        for (let i = 0; i < optionCount; i++) {
+            const letter = String.fromCharCode(65 + i);
+            const marker = parenthesized ? `\\(${letter}\\)` : `${letter}[.\\)]`;
+            pattern += `\\s+${marker}\\s*(.+?)`;
+        }
+        pattern += '(?:\\s*(?:Answer|Ans|ANS|Correct)[:\\s]*([A-Fa-f])\\b.*)?$';
+        return new RegExp(pattern, 'i');
     }
 
     /**
      * More flexible question parsing for varied formats
      */
-    parseQuestionsFlexible(text, sourcePdf) {
+    parseQuestionsFlexible(text, sourcePdf, report = null) {
         const questions = [];
 
         // Split by question numbers
         const questionBlocks = text.split(/(?=(?:Q\.?\s*)?\d{1,3}[.\)])/);
+        let offset = 0;
+
+        // Patterns with whitespace required before each option marker, most options first
+        // This prevents matching "B)" inside "(A + B)'" as an option
+        const optionPatterns = [];
+        for (let count = 6; count >= 2; count--) {
+            optionPatterns.push(this.buildFlexiblePattern(count, false));
+            optionPatterns.push(this.buildFlexiblePattern(count, true));
+        }
 
         for (const block of questionBlocks) {
+            const entryBlock = { num: null, offset: offset, text: block.trim() };
+            offset += block.length;
+
             if (block.trim().length < 20) continue;
 
             try {
                 // Extract question number
                 const numMatch = block.match(/^(?:Q\.?\s*)?(\d{1,3})[.\)]/);
-                if (!numMatch) continue;
+                if (!numMatch) {
+                    this.addReportEntry(report, entryBlock, 'rejected', null, 'parseQuestionsFlexible: no question number');
+                    continue;
+                }
 
                 const num = parseInt(numMatch[1]);
+                entryBlock.num = num;
                 let remaining = block.substring(numMatch[0].length).trim();
 
-                // Find options - require whitespace before option markers
-                // This prevents matching "B)" inside "(A + B)'" as an option
-                const optionPatterns = [
-                    // Pattern with whitespace requirement before each option
-                    /^(.+?)\s+A[.\)]\s*(.+?)\s+B[.\)]\s*(.+?)\s+C[.\)]\s*(.+?)\s+D[.\)]\s*(.+?)(?:\s*(?:Answer|Ans|ANS|Correct)[:\s]*([A-Da-d]))?/i,
-                    /^(.+?)\s+\(A\)\s*(.+?)\s+\(B\)\s*(.+?)\s+\(C\)\s*(.+?)\s+\(D\)\s*(.+?)(?:\s*(?:Answer|Ans|ANS|Correct)[:\s]*([A-Da-d]))?/i,
-                ];
+                let reason = 'no option pattern matched';
 
                 for (const optPattern of optionPatterns) {
                     const optMatch = remaining.match(optPattern);
                     if (optMatch) {
                         // optMatch[1] = question text
-                        // optMatch[2-5] = options A-D
-                        // optMatch[6] = answer
+                        // then one group per option, and the answer last
                         const questionText = optMatch[1] ? optMatch[1].trim() : '';
+                        const optionTexts = optMatch.slice(2, -1);
+                        const answer = optMatch[optMatch.length - 1];
 
                         if (questionText.length > 10) {
-                            questions.push({
-                                id: `${sourcePdf}-${num}`,
-                                number: num,
-                                question: this.cleanText(questionText),
-                                options: {
-                                    A: this.cleanOption(optMatch[2] || ''),
-                                    B: this.cleanOption(optMatch[3] || ''),
-                                    C: this.cleanOption(optMatch[4] || ''),
-                                    D: this.cleanOption(optMatch[5] || '')
-                                },
-                                answer: optMatch[6] ? optMatch[6].toUpperCase() : 'A',
-                                source: sourcePdf
-                            });
+                            const question = this.createQuestion(num, sourcePdf, questionText, optionTexts,
+                                answer ? answer.toUpperCase() : null, answer ? 'explicit' : 'missing');
+                            question.explanation = this.extractExplanation(remaining);
+                            questions.push(question);
+                            reason = null;
+                        } else {
+                            reason = 'question text too short';
                         }
                         break;
                     }
                 }
+
+                if (reason) {
+                    this.addReportEntry(report, entryBlock, 'rejected', null, `parseQuestionsFlexible: ${reason}`);
+                } else {
+                    this.addReportEntry(report, entryBlock, 'parsed', 'parseQuestionsFlexible', null);
+                }
             } catch (e) {
                 console.error('Error parsing block:', e);
+                this.addReportEntry(report, entryBlock, 'rejected', null, `parseQuestionsFlexible: ${e.message}`);
             }
         }
 
@@ -410,583 +1308,17 @@ class PDFParser {
     }
 
     /**
-     * Fix common ligature and character extraction issues from PDFs
+     * Fix ligature and character extraction issues using the text correction rules
      */
     fixLigatures(text) {
-        if (!text) return '';
-
-        let result = text;
-
-        // First normalize all whitespace to regular spaces
-        result = result.replace(/\u00A0/g, ' ');  // Non-breaking space
-        result = result.replace(/\u2003/g, ' ');  // Em space
-        result = result.replace(/\u2002/g, ' ');  // En space
-        result = result.replace(/\u2009/g, ' ');  // Thin space
-        result = result.replace(/\u200B/g, '');   // Zero-width space
-        result = result.replace(/\u00AD/g, '');   // Soft hyphen
-        result = result.replace(/\uFEFF/g, '');   // BOM
-
-        // Replace Greek eta (commonly misread for 'tf' ligature - e.g. printf)
-        result = result.replace(/\u03B7/g, 'tf'); // η Small Eta
-        result = result.replace(/\u0397/g, 'tf'); // Η Capital Eta
-
-        // Replace Greek theta (commonly misread for 'ti' ligature) 
-        result = result.replace(/\u0398/g, 'ti');  // Θ Capital Theta
-        result = result.replace(/\u03B8/g, 'ti');  // θ Small Theta
-        result = result.replace(/\u019F/g, 'ti');  // Ɵ
-        result = result.replace(/\u0275/g, 'ti');  // ɵ
-
-        // Replace Greek sigma (commonly misread for 'tt' ligature)
-        result = result.replace(/\u03A3/g, 'tt');  // Σ Capital Sigma
-        result = result.replace(/\u03C3/g, 'tt');  // σ Small Sigma
-        result = result.replace(/\u03C2/g, 'tt');  // ς Final Sigma
-        
-        // Replace O with tilde (commonly misread for 'ft' ligature)
-        result = result.replace(/\u00D5/g, 'ft');  // Õ Capital O with Tilde
-        result = result.replace(/\u00F5/g, 'ft');  // õ Small O with Tilde
-        
-        // Replace O with macron (commonly misread for 'ft' ligature)
-        result = result.replace(/\u014C/g, 'ft');  // Ō Capital O with Macron
-        result = result.replace(/\u014D/g, 'ft');  // ō Small O with Macron
-
-        // Replace other common misread characters
-        result = result.replace(/\u0192/g, 'f');   // ƒ function symbol
-        result = result.replace(/\u00B5/g, 'u');   // µ micro sign
-        
-        // ========================================
-        // IMMEDIATE FIX: Common words with Greek letter replacements
-        // Fix these RIGHT AFTER Greek letter replacement to catch "a tt ack" patterns
-        // ========================================
-        
-        // FULL WORD PATTERNS - match any non-letter between word parts
-        // Use [^\w] to catch any unusual character including Greek letters
-        result = result.replace(/\ba\s*[^\w\s]\s*ributes?\b/gi, 'attributes');
-        result = result.replace(/\ba\s*[^\w\s]\s*ack\b/gi, 'attack');
-        result = result.replace(/\ba\s*[^\w\s]\s*empt/gi, 'attempt');
-        result = result.replace(/\ba\s*[^\w\s]\s*ach/gi, 'attach');
-        result = result.replace(/\ba\s*[^\w\s]\s*end/gi, 'attend');
-        result = result.replace(/\ba\s*[^\w\s]\s*ract/gi, 'attract');
-        result = result.replace(/\bso\s*[^\w\s]\s*ware\b/gi, 'software');
-        result = result.replace(/\ble\s*[^\w\s]\b/gi, 'left');
-        
-        // CRITICAL: Match words with the ORIGINAL Greek characters using Unicode escapes
-        // Sigma Σ = \u03A3, O-tilde Õ = \u00D5, Theta Θ = \u0398, Eta η = \u03B7
-        result = result.replace(/a\s*\u03A3\s*ack/gi, 'attack');
-        result = result.replace(/a\s*\u03A3\s*rib/gi, 'attrib');
-        result = result.replace(/a\s*\u03A3\s*empt/gi, 'attempt');
-        result = result.replace(/a\s*\u03A3\s*ach/gi, 'attach');
-        result = result.replace(/a\s*\u03A3\s*end/gi, 'attend');
-        result = result.replace(/a\s*\u03A3\s*en/gi, 'atten');
-        result = result.replace(/a\s*\u03A3\s*ract/gi, 'attract');
-        result = result.replace(/so\s*\u00D5\s*ware/gi, 'software');
-        result = result.replace(/u\s*ti\s*liza/gi, 'utiliza');
-        result = result.replace(/u\s*\u0398\s*liza/gi, 'utiliza');
-        
-        // Fix 'tf' words (from Eta replacement)
-        result = result.replace(/prin\s*tf/gi, 'printf');
-        result = result.replace(/prin\s*\u03B7/gi, 'printf');
-        result = result.replace(/sprin\s*tf/gi, 'sprintf');
-        result = result.replace(/scan\s*tf/gi, 'scanf');
-        result = result.replace(/f\s*scan\s*tf/gi, 'fscanf');
-        result = result.replace(/s\s*scan\s*tf/gi, 'sscanf');
-        
-        // Fix 'ft' words - match with O-macron (Ō = \u014C) which is actual PDF character
-        result = result.replace(/so\s*\u014C\s*ware/gi, 'software');
-        result = result.replace(/le\s*\u014C/gi, 'left');
-        result = result.replace(/a\s*\u014C\s*er/gi, 'after');
-        result = result.replace(/shi\s*\u014C/gi, 'shift');
-        result = result.replace(/dra\s*\u014C/gi, 'draft');
-        result = result.replace(/cra\s*\u014C/gi, 'craft');
-        result = result.replace(/swi\s*\u014C/gi, 'swift');
-        result = result.replace(/li\s*\u014C/gi, 'lift');
-        result = result.replace(/gi\s*\u014C/gi, 'gift');
-        
-        // Fix 'ft' words (from O-tilde replacement) - must be immediate
-        result = result.replace(/so\s*ft\s*ware/gi, 'software');
-        result = result.replace(/a\s*ft\s*er/gi, 'after');
-        result = result.replace(/le\s*ft/gi, 'left');
-        result = result.replace(/shi\s*ft/gi, 'shift');
-        result = result.replace(/dra\s*ft/gi, 'draft');
-        result = result.replace(/cra\s*ft/gi, 'craft');
-        result = result.replace(/swi\s*ft/gi, 'swift');
-        result = result.replace(/li\s*ft/gi, 'lift');
-        result = result.replace(/gi\s*ft/gi, 'gift');
-        
-        // Fix 'tt' words (from Sigma replacement) - must be immediate
-        result = result.replace(/a\s*tt\s*ack/gi, 'attack');
-        result = result.replace(/a\s*tt\s*rib/gi, 'attrib');
-        result = result.replace(/a\s*tt\s*empt/gi, 'attempt');
-        result = result.replace(/a\s*tt\s*ach/gi, 'attach');
-        result = result.replace(/a\s*tt\s*end/gi, 'attend');
-        result = result.replace(/a\s*tt\s*ention/gi, 'attention');
-        result = result.replace(/a\s*tt\s*ain/gi, 'attain');
-        result = result.replace(/a\s*tt\s*ract/gi, 'attract');
-        result = result.replace(/a\s*tt\s*itude/gi, 'attitude');
-        result = result.replace(/be\s*tt\s*er/gi, 'better');
-        result = result.replace(/bu\s*tt\s*on/gi, 'button');
-        result = result.replace(/le\s*tt\s*er/gi, 'letter');
-        result = result.replace(/pa\s*tt\s*ern/gi, 'pattern');
-        result = result.replace(/ma\s*tt\s*er/gi, 'matter');
-        result = result.replace(/li\s*tt\s*le/gi, 'little');
-        result = result.replace(/bo\s*tt\s*om/gi, 'bottom');
-        result = result.replace(/bo\s*tt\s*le/gi, 'bottle');
-        result = result.replace(/ba\s*tt\s*le/gi, 'battle');
-        result = result.replace(/se\s*tt\s*ing/gi, 'setting');
-        result = result.replace(/ge\s*tt\s*ing/gi, 'getting');
-        result = result.replace(/pu\s*tt\s*ing/gi, 'putting');
-        result = result.replace(/wri\s*tt\s*en/gi, 'written');
-        result = result.replace(/ne\s*tt\s*work/gi, 'network');
-
-        // Standard ligatures
-        result = result.replace(/\ufb01/g, 'fi');
-        result = result.replace(/\ufb02/g, 'fl');
-        result = result.replace(/\ufb03/g, 'ffi');
-        result = result.replace(/\ufb04/g, 'ffl');
-        result = result.replace(/\ufb05/g, 'st');
-        result = result.replace(/\ufb06/g, 'st');
-
-        // Curly quotes to straight quotes
-        result = result.replace(/\u2018/g, "'");
-        result = result.replace(/\u2019/g, "'");
-        result = result.replace(/\u201C/g, '"');
-        result = result.replace(/\u201D/g, '"');
-
-        // Dashes and special chars
-        result = result.replace(/\u2013/g, '-');
-        result = result.replace(/\u2014/g, '-');
-        result = result.replace(/\u2026/g, '...');
-
-        // Fix words with 'tt' (additional patterns)
-
-        // Standard ligatures
-        result = result.replace(/\ufb01/g, 'fi');
-        result = result.replace(/\ufb02/g, 'fl');
-        result = result.replace(/\ufb03/g, 'ffi');
-        result = result.replace(/\ufb04/g, 'ffl');
-        result = result.replace(/\ufb05/g, 'st');
-        result = result.replace(/\ufb06/g, 'st');
-
-        // Curly quotes to straight quotes
-        result = result.replace(/\u2018/g, "'");
-        result = result.replace(/\u2019/g, "'");
-        result = result.replace(/\u201C/g, '"');
-        result = result.replace(/\u201D/g, '"');
-
-        // Dashes and special chars
-        result = result.replace(/\u2013/g, '-');
-        result = result.replace(/\u2014/g, '-');
-        result = result.replace(/\u2026/g, '...');
-
-        // Various space characters
-        result = result.replace(/\u00A0/g, ' ');
-        result = result.replace(/\u2003/g, ' ');
-        result = result.replace(/\u2002/g, ' ');
-        result = result.replace(/\u2009/g, ' ');
-        result = result.replace(/\u200B/g, '');
-        result = result.replace(/\u00AD/g, '');
-        result = result.replace(/\uFEFF/g, '');
-
-        // Fix words with 'tt' (from Sigma replacement)
-        // Note: Sigma Σ was already replaced with 'tt' above
-        result = result.replace(/a\s*tt\s*ributes/gi, 'attributes');
-        result = result.replace(/a\s*tt\s*ribute/gi, 'attribute');
-        result = result.replace(/a\s*tt\s*ribut/gi, 'attribut');
-        result = result.replace(/a\s*tt\s*ack/gi, 'attack');
-        result = result.replace(/a\s*tt\s*acker/gi, 'attacker');
-        result = result.replace(/a\s*tt\s*ach/gi, 'attach');
-        result = result.replace(/a\s*tt\s*ached/gi, 'attached');
-        result = result.replace(/a\s*tt\s*achment/gi, 'attachment');
-        result = result.replace(/a\s*tt\s*empt/gi, 'attempt');
-        result = result.replace(/a\s*tt\s*en/gi, 'atten');
-        result = result.replace(/be\s*tt\s*er/gi, 'better');
-        result = result.replace(/bu\s*tt\s*on/gi, 'button');
-        result = result.replace(/le\s*tt\s*er/gi, 'letter');
-        result = result.replace(/pa\s*tt\s*ern/gi, 'pattern');
-        result = result.replace(/ma\s*tt\s*er/gi, 'matter');
-        result = result.replace(/se\s*tt\s*ing/gi, 'setting');
-        result = result.replace(/ge\s*tt\s*ing/gi, 'getting');
-        result = result.replace(/pu\s*tt\s*ing/gi, 'putting');
-        result = result.replace(/wri\s*tt\s*en/gi, 'written');
-        result = result.replace(/permi\s*tt\s*ed/gi, 'permitted');
-        result = result.replace(/transmi\s*tt\s*ed/gi, 'transmitted');
-        result = result.replace(/emi\s*tt\s*ed/gi, 'emitted');
-        result = result.replace(/submi\s*tt\s*ed/gi, 'submitted');
-        result = result.replace(/commi\s*tt\s*ed/gi, 'committed');
-        result = result.replace(/forma\s*tt\s*ed/gi, 'formatted');
-        result = result.replace(/forma\s*tt\s*ing/gi, 'formatting');
-        result = result.replace(/bo\s*tt\s*om/gi, 'bottom');
-        result = result.replace(/bo\s*tt\s*le/gi, 'bottle');
-        result = result.replace(/sca\s*tt\s*er/gi, 'scatter');
-        result = result.replace(/bi\s*tt\s*er/gi, 'bitter');
-        result = result.replace(/li\s*tt\s*le/gi, 'little');
-        result = result.replace(/ba\s*tt\s*le/gi, 'battle');
-        result = result.replace(/ne\s*tt\s*work/gi, 'nettwork');
-        result = result.replace(/co\s*tt\s*on/gi, 'cotton');
-        result = result.replace(/ki\s*tt\s*en/gi, 'kitten');
-        result = result.replace(/bi\s*tt\s*en/gi, 'bitten');
-        result = result.replace(/hi\s*tt\s*ing/gi, 'hitting');
-        result = result.replace(/si\s*tt\s*ing/gi, 'sitting');
-        result = result.replace(/cu\s*tt\s*ing/gi, 'cutting');
-        result = result.replace(/spi\s*tt\s*ing/gi, 'spitting');
-        result = result.replace(/spli\s*tt\s*ing/gi, 'splitting');
-        result = result.replace(/omi\s*tt\s*ing/gi, 'omitting');
-        result = result.replace(/admi\s*tt\s*ing/gi, 'admitting');
-        result = result.replace(/permi\s*tt\s*ing/gi, 'permitting');
-
-        // Fix common broken words (ligature artifacts create spaces)
-        // Words with 'ti'
-        result = result.replace(/inser\s*ti\s*on/gi, 'insertion');
-        result = result.replace(/dele\s*ti\s*on/gi, 'deletion');
-        result = result.replace(/alloca\s*ti\s*on/gi, 'allocation');
-        result = result.replace(/selec\s*ti\s*on/gi, 'selection');
-        result = result.replace(/collec\s*ti\s*on/gi, 'collection');
-        result = result.replace(/connec\s*ti\s*on/gi, 'connection');
-        result = result.replace(/protec\s*ti\s*on/gi, 'protection');
-        result = result.replace(/detec\s*ti\s*on/gi, 'detection');
-        result = result.replace(/direc\s*ti\s*on/gi, 'direction');
-        result = result.replace(/correc\s*ti\s*on/gi, 'correction');
-        result = result.replace(/restric\s*ti\s*on/gi, 'restriction');
-        result = result.replace(/abstrac\s*ti\s*on/gi, 'abstraction');
-        result = result.replace(/transac\s*ti\s*on/gi, 'transaction');
-        result = result.replace(/interac\s*ti\s*on/gi, 'interaction');
-        result = result.replace(/subtrac\s*ti\s*on/gi, 'subtraction');
-        result = result.replace(/extrac\s*ti\s*on/gi, 'extraction');
-        result = result.replace(/produc\s*ti\s*on/gi, 'production');
-        result = result.replace(/reduc\s*ti\s*on/gi, 'reduction');
-        result = result.replace(/induc\s*ti\s*on/gi, 'induction');
-        result = result.replace(/deduc\s*ti\s*on/gi, 'deduction');
-        result = result.replace(/introduc\s*ti\s*on/gi, 'introduction');
-        result = result.replace(/loca\s*ti\s*ng/gi, 'locating');
-        result = result.replace(/correc\s*ti\s*ng/gi, 'correcting');
-        result = result.replace(/tes\s*ti\s*ng/gi, 'testing');
-        result = result.replace(/valida\s*ti\s*on/gi, 'validation');
-        result = result.replace(/execu\s*ti\s*on/gi, 'execution');
-        result = result.replace(/func\s*ti\s*on/gi, 'function');
-        result = result.replace(/op\s*ti\s*on/gi, 'option');
-        result = result.replace(/sec\s*ti\s*on/gi, 'section');
-        result = result.replace(/ac\s*ti\s*on/gi, 'action');
-        result = result.replace(/condi\s*ti\s*on/gi, 'condition');
-        result = result.replace(/itera\s*ti\s*on/gi, 'iteration');
-        result = result.replace(/opera\s*ti\s*on/gi, 'operation');
-        result = result.replace(/applica\s*ti\s*on/gi, 'application');
-        result = result.replace(/declara\s*ti\s*on/gi, 'declaration');
-        result = result.replace(/defini\s*ti\s*on/gi, 'definition');
-        result = result.replace(/instruc\s*ti\s*on/gi, 'instruction');
-        result = result.replace(/no\s*ti\s*fica\s*ti\s*on/gi, 'notification');
-        result = result.replace(/authen\s*ti\s*ca\s*ti\s*on/gi, 'authentication');
-        result = result.replace(/iden\s*ti\s*fica\s*ti\s*on/gi, 'identification');
-        result = result.replace(/ini\s*ti\s*aliza\s*ti\s*on/gi, 'initialization');
-        result = result.replace(/iden\s*ti\s*fy/gi, 'identify');
-        result = result.replace(/iden\s*ti\s*fied/gi, 'identified');
-        result = result.replace(/iden\s*ti\s*fier/gi, 'identifier');
-        result = result.replace(/iden\s*ti\s*fies/gi, 'identifies');
-        result = result.replace(/iden\s*ti\s*ty/gi, 'identity');
-        result = result.replace(/quan\s*ti\s*ty/gi, 'quantity');
-        result = result.replace(/en\s*ti\s*ty/gi, 'entity');
-        result = result.replace(/en\s*ti\s*ties/gi, 'entities');
-        result = result.replace(/uniqu/gi, 'uniqu');
-        result = result.replace(/uni\s*que\s*ly/gi, 'uniquely');
-        result = result.replace(/prac\s*ti\s*ce/gi, 'practice');
-        result = result.replace(/prac\s*ti\s*cal/gi, 'practical');
-        result = result.replace(/par\s*ti\s*al/gi, 'partial');
-        result = result.replace(/ini\s*ti\s*al/gi, 'initial');
-        result = result.replace(/essen\s*ti\s*al/gi, 'essential');
-        result = result.replace(/poten\s*ti\s*al/gi, 'potential');
-        result = result.replace(/sequen\s*ti\s*al/gi, 'sequential');
-        result = result.replace(/mul\s*ti\s*ple/gi, 'multiple');
-        result = result.replace(/posi\s*ti\s*ve/gi, 'positive');
-        result = result.replace(/nega\s*ti\s*ve/gi, 'negative');
-        result = result.replace(/rela\s*ti\s*ve/gi, 'relative');
-        result = result.replace(/primi\s*ti\s*ve/gi, 'primitive');
-        result = result.replace(/execu\s*ti\s*ve/gi, 'executive');
-        result = result.replace(/itera\s*ti\s*ve/gi, 'iterative');
-        result = result.replace(/transi\s*ti\s*ve/gi, 'transitive');
-        result = result.replace(/sensi\s*ti\s*ve/gi, 'sensitive');
-        result = result.replace(/effec\s*ti\s*ve/gi, 'effective');
-        result = result.replace(/selec\s*ti\s*ve/gi, 'selective');
-        result = result.replace(/objec\s*ti\s*ve/gi, 'objective');
-        result = result.replace(/subjec\s*ti\s*ve/gi, 'subjective');
-        result = result.replace(/addic\s*ti\s*ve/gi, 'addictive');
-        result = result.replace(/predic\s*ti\s*ve/gi, 'predictive');
-        result = result.replace(/restric\s*ti\s*ve/gi, 'restrictive');
-        result = result.replace(/descrip\s*ti\s*ve/gi, 'descriptive');
-        result = result.replace(/produc\s*ti\s*ve/gi, 'productive');
-        result = result.replace(/destruc\s*ti\s*ve/gi, 'destructive');
-        result = result.replace(/instruc\s*ti\s*ve/gi, 'instructive');
-        result = result.replace(/construc\s*ti\s*ve/gi, 'constructive');
-        result = result.replace(/alterna\s*ti\s*ve/gi, 'alternative');
-        result = result.replace(/quan\s*ti\s*ta\s*ti\s*ve/gi, 'quantitative');
-        result = result.replace(/quali\s*ta\s*ti\s*ve/gi, 'qualitative');
-        result = result.replace(/coopera\s*ti\s*ve/gi, 'cooperative');
-        result = result.replace(/repre\s*sen\s*ta\s*ti\s*ve/gi, 'representative');
-        result = result.replace(/automa\s*ti\s*c/gi, 'automatic');
-        result = result.replace(/pragma\s*ti\s*c/gi, 'pragmatic');
-        result = result.replace(/sta\s*ti\s*c/gi, 'static');
-        result = result.replace(/compe\s*ti\s*ti\s*ve/gi, 'competitive');
-        result = result.replace(/sor\s*ti\s*ng/gi, 'sorting');
-        result = result.replace(/prin\s*ti\s*ng/gi, 'printing');
-        result = result.replace(/wri\s*ti\s*ng/gi, 'writing');
-        result = result.replace(/edi\s*ti\s*ng/gi, 'editing');
-        result = result.replace(/compu\s*ti\s*ng/gi, 'computing');
-        result = result.replace(/coun\s*ti\s*ng/gi, 'counting');
-        result = result.replace(/poin\s*ti\s*ng/gi, 'pointing');
-        result = result.replace(/selec\s*ti\s*ng/gi, 'selecting');
-        result = result.replace(/crea\s*ti\s*ng/gi, 'creating');
-        result = result.replace(/dele\s*ti\s*ng/gi, 'deleting');
-        result = result.replace(/upda\s*ti\s*ng/gi, 'updating');
-        result = result.replace(/forma\s*tti\s*ng/gi, 'formatting');
-        result = result.replace(/connec\s*ti\s*ng/gi, 'connecting');
-        result = result.replace(/conver\s*ti\s*ng/gi, 'converting');
-        result = result.replace(/represen\s*ti\s*ng/gi, 'representing');
-        result = result.replace(/itera\s*ti\s*ng/gi, 'iterating');
-        result = result.replace(/opera\s*ti\s*ng/gi, 'operating');
-        result = result.replace(/genera\s*ti\s*ng/gi, 'generating');
-        result = result.replace(/naviga\s*ti\s*ng/gi, 'navigating');
-        result = result.replace(/calcula\s*ti\s*ng/gi, 'calculating');
-        result = result.replace(/simula\s*ti\s*ng/gi, 'simulating');
-        result = result.replace(/evalua\s*ti\s*ng/gi, 'evaluating');
-        result = result.replace(/valida\s*ti\s*ng/gi, 'validating');
-        result = result.replace(/communica\s*ti\s*ng/gi, 'communicating');
-        result = result.replace(/demonstra\s*ti\s*ng/gi, 'demonstrating');
-        result = result.replace(/termina\s*ti\s*ng/gi, 'terminating');
-        result = result.replace(/origina\s*ti\s*ng/gi, 'originating');
-        result = result.replace(/redirec\s*ti\s*ng/gi, 'redirecting');
-        result = result.replace(/predic\s*ti\s*ng/gi, 'predicting');
-        result = result.replace(/restar\s*ti\s*ng/gi, 'restarting');
-        result = result.replace(/star\s*ti\s*ng/gi, 'starting');
-        result = result.replace(/expor\s*ti\s*ng/gi, 'exporting');
-        result = result.replace(/impor\s*ti\s*ng/gi, 'importing');
-        result = result.replace(/suppor\s*ti\s*ng/gi, 'supporting');
-        result = result.replace(/repor\s*ti\s*ng/gi, 'reporting');
-        result = result.replace(/asser\s*ti\s*ng/gi, 'asserting');
-        result = result.replace(/inser\s*ti\s*ng/gi, 'inserting');
-        result = result.replace(/conver\s*ti\s*ng/gi, 'converting');
-        result = result.replace(/inver\s*ti\s*ng/gi, 'inverting');
-        result = result.replace(/rever\s*ti\s*ng/gi, 'reverting');
-        result = result.replace(/diver\s*ti\s*ng/gi, 'diverting');
-        result = result.replace(/adver\s*ti\s*sing/gi, 'advertising');
-        result = result.replace(/par\s*ti\s*ti\s*oning/gi, 'partitioning');
-        result = result.replace(/alterna\s*ti\s*ng/gi, 'alternating');
-        result = result.replace(/repor\s*ti\s*ng/gi, 'reporting');
-        result = result.replace(/implemen\s*ti\s*ng/gi, 'implementing');
-        result = result.replace(/documen\s*ti\s*ng/gi, 'documenting');
-
-        // Words with 'fi'
-        result = result.replace(/de\s*fi\s*ne/gi, 'define');
-        result = result.replace(/de\s*fi\s*ned/gi, 'defined');
-        result = result.replace(/de\s*fi\s*ni\s*ti\s*on/gi, 'definition');
-        result = result.replace(/fi\s*le/gi, 'file');
-        result = result.replace(/fi\s*les/gi, 'files');
-        result = result.replace(/fi\s*nd/gi, 'find');
-        result = result.replace(/fi\s*rst/gi, 'first');
-        result = result.replace(/speci\s*fi\s*c/gi, 'specific');
-        result = result.replace(/speci\s*fi\s*ca\s*ti\s*on/gi, 'specification');
-        result = result.replace(/modi\s*fi\s*er/gi, 'modifier');
-        result = result.replace(/modi\s*fi\s*ca\s*ti\s*on/gi, 'modification');
-        result = result.replace(/identi\s*fi\s*er/gi, 'identifier');
-        result = result.replace(/classi\s*fi\s*ca\s*ti\s*on/gi, 'classification');
-        result = result.replace(/encryp\s*ti\s*on/gi, 'encryption');
-        result = result.replace(/decryp\s*ti\s*on/gi, 'decryption');
-
-        // Words with 'fl'
-        result = result.replace(/\bfl\s+ow\b/gi, 'flow');
-        result = result.replace(/\bfl\s+oat\b/gi, 'float');
-        result = result.replace(/\bfl\s+ag\b/gi, 'flag');
-
-        // Additional specific words
-        result = result.replace(/exis\s*ti\s*ng/gi, 'existing');
-        result = result.replace(/run\s*ti\s*me/gi, 'runtime');
-        result = result.replace(/life\s*ti\s*me/gi, 'lifetime');
-        result = result.replace(/some\s*ti\s*me/gi, 'sometime');
-        result = result.replace(/mean\s*ti\s*me/gi, 'meantime');
-        result = result.replace(/over\s*ti\s*me/gi, 'overtime');
-        result = result.replace(/par\s*ti\s*ti\s*on/gi, 'partition');
-        result = result.replace(/repe\s*ti\s*ti\s*on/gi, 'repetition');
-        result = result.replace(/compe\s*ti\s*ti\s*on/gi, 'competition');
-        result = result.replace(/addi\s*ti\s*on/gi, 'addition');
-        result = result.replace(/edi\s*ti\s*on/gi, 'edition');
-        result = result.replace(/posi\s*ti\s*on/gi, 'position');
-        result = result.replace(/transi\s*ti\s*on/gi, 'transition');
-        result = result.replace(/acquisi\s*ti\s*on/gi, 'acquisition');
-        result = result.replace(/propor\s*ti\s*on/gi, 'proportion');
-        result = result.replace(/solu\s*ti\s*on/gi, 'solution');
-        result = result.replace(/resolu\s*ti\s*on/gi, 'resolution');
-        result = result.replace(/evolu\s*ti\s*on/gi, 'evolution');
-        result = result.replace(/revolu\s*ti\s*on/gi, 'revolution');
-        result = result.replace(/distribu\s*ti\s*on/gi, 'distribution');
-        result = result.replace(/contribu\s*ti\s*on/gi, 'contribution');
-        result = result.replace(/substitu\s*ti\s*on/gi, 'substitution');
-        result = result.replace(/constitu\s*ti\s*on/gi, 'constitution');
-        result = result.replace(/institu\s*ti\s*on/gi, 'institution');
-        result = result.replace(/prosecu\s*ti\s*on/gi, 'prosecution');
-        result = result.replace(/descrip\s*ti\s*on/gi, 'description');
-        result = result.replace(/prescrip\s*ti\s*on/gi, 'prescription');
-        result = result.replace(/subscrip\s*ti\s*on/gi, 'subscription');
-        result = result.replace(/op\s*ti\s*miza\s*ti\s*on/gi, 'optimization');
-        result = result.replace(/realiza\s*ti\s*on/gi, 'realization');
-        result = result.replace(/organiza\s*ti\s*on/gi, 'organization');
-        result = result.replace(/authoriza\s*ti\s*on/gi, 'authorization');
-        result = result.replace(/visualiza\s*ti\s*on/gi, 'visualization');
-        result = result.replace(/normaliza\s*ti\s*on/gi, 'normalization');
-        result = result.replace(/synchroniza\s*ti\s*on/gi, 'synchronization');
-        result = result.replace(/serializa\s*ti\s*on/gi, 'serialization');
-        result = result.replace(/virtualiza\s*ti\s*on/gi, 'virtualization');
-        result = result.replace(/localiza\s*ti\s*on/gi, 'localization');
-        result = result.replace(/globaliza\s*ti\s*on/gi, 'globalization');
-        result = result.replace(/customiza\s*ti\s*on/gi, 'customization');
-        result = result.replace(/veri\s*fi\s*ca\s*ti\s*on/gi, 'verification');
-        result = result.replace(/no\s*ti\s*ce/gi, 'notice');
-        result = result.replace(/prac\s*ti\s*se/gi, 'practise');
-        result = result.replace(/ar\s*ti\s*cle/gi, 'article');
-        result = result.replace(/par\s*ti\s*cle/gi, 'particle');
-        result = result.replace(/ver\s*ti\s*cal/gi, 'vertical');
-        result = result.replace(/ar\s*ti\s*fi\s*cial/gi, 'artificial');
-        result = result.replace(/iden\s*ti\s*cal/gi, 'identical');
-        result = result.replace(/cri\s*ti\s*cal/gi, 'critical');
-        result = result.replace(/analy\s*ti\s*cal/gi, 'analytical');
-        result = result.replace(/poli\s*ti\s*cal/gi, 'political');
-        result = result.replace(/theore\s*ti\s*cal/gi, 'theoretical');
-        result = result.replace(/alphabe\s*ti\s*cal/gi, 'alphabetical');
-        result = result.replace(/gramma\s*ti\s*cal/gi, 'grammatical');
-        result = result.replace(/mathema\s*ti\s*cal/gi, 'mathematical');
-        result = result.replace(/statis\s*ti\s*cal/gi, 'statistical');
-        result = result.replace(/systema\s*ti\s*c/gi, 'systematic');
-        result = result.replace(/problema\s*ti\s*c/gi, 'problematic');
-        result = result.replace(/schema\s*ti\s*c/gi, 'schematic');
-        result = result.replace(/diagramma\s*ti\s*c/gi, 'diagrammatic');
-        result = result.replace(/chroma\s*ti\s*c/gi, 'chromatic');
-        result = result.replace(/aroma\s*ti\s*c/gi, 'aromatic');
-        result = result.replace(/diploma\s*ti\s*c/gi, 'diplomatic');
-        result = result.replace(/characteris\s*ti\s*c/gi, 'characteristic');
-        result = result.replace(/heuris\s*ti\s*c/gi, 'heuristic');
-        result = result.replace(/determinis\s*ti\s*c/gi, 'deterministic');
-        result = result.replace(/probabilis\s*ti\s*c/gi, 'probabilistic');
-        result = result.replace(/linguis\s*ti\s*c/gi, 'linguistic');
-        result = result.replace(/realis\s*ti\s*c/gi, 'realistic');
-        result = result.replace(/op\s*ti\s*mis\s*ti\s*c/gi, 'optimistic');
-        result = result.replace(/pessimis\s*ti\s*c/gi, 'pessimistic');
-        result = result.replace(/stochas\s*ti\s*c/gi, 'stochastic');
-        
-        // More specific words
-        result = result.replace(/rec\s*ti\s*fi/gi, 'rectifi');
-        result = result.replace(/cer\s*ti\s*fi/gi, 'certifi');
-        result = result.replace(/jus\s*ti\s*fi/gi, 'justifi');
-        result = result.replace(/ra\s*ti\s*o/gi, 'ratio');
-        result = result.replace(/pa\s*ti\s*ent/gi, 'patient');
-        result = result.replace(/quo\s*ti\s*ent/gi, 'quotient');
-        result = result.replace(/ingredi\s*ent/gi, 'ingredient');
-        result = result.replace(/parti\s*cular/gi, 'particular');
-        result = result.replace(/ar\s*ti\s*fact/gi, 'artifact');
-        result = result.replace(/mul\s*ti\s*pli/gi, 'multipli');
-        result = result.replace(/op\s*ti\s*m/gi, 'optim');
-        result = result.replace(/ac\s*ti\s*v/gi, 'activ');
-        result = result.replace(/reac\s*ti\s*v/gi, 'reactiv');
-        result = result.replace(/proac\s*ti\s*v/gi, 'proactiv');
-        result = result.replace(/interac\s*ti\s*v/gi, 'interactiv');
-        result = result.replace(/cap\s*ti\s*v/gi, 'captiv');
-        result = result.replace(/na\s*ti\s*v/gi, 'nativ');
-        result = result.replace(/mo\s*ti\s*v/gi, 'motiv');
-        result = result.replace(/ini\s*ti\s*at/gi, 'initiat');
-        result = result.replace(/ne\s*go\s*ti\s*at/gi, 'negotiat');
-        result = result.replace(/differen\s*ti\s*at/gi, 'differentiat');
-        result = result.replace(/authen\s*ti\s*cat/gi, 'authenticat');
-        result = result.replace(/domes\s*ti\s*c/gi, 'domestic');
-        result = result.replace(/elas\s*ti\s*c/gi, 'elastic');
-        result = result.replace(/fantas\s*ti\s*c/gi, 'fantastic');
-        result = result.replace(/dras\s*ti\s*c/gi, 'drastic');
-        result = result.replace(/plas\s*ti\s*c/gi, 'plastic');
-        result = result.replace(/tac\s*ti\s*c/gi, 'tactic');
-        result = result.replace(/synthe\s*ti\s*c/gi, 'synthetic');
-        result = result.replace(/gene\s*ti\s*c/gi, 'genetic');
-        result = result.replace(/magne\s*ti\s*c/gi, 'magnetic');
-        result = result.replace(/aesthe\s*ti\s*c/gi, 'aesthetic');
-        result = result.replace(/seman\s*ti\s*c/gi, 'semantic');
-        result = result.replace(/authen\s*ti\s*c/gi, 'authentic');
-        result = result.replace(/iden\s*ti\s*c/gi, 'identic');
-        
-        // ========================================
-        // ADDITIONAL LIGATURE FIXES
-        // Handle more edge cases for 'tt' patterns
-        // ========================================
-        
-        // More 'tt' word fixes - common words
-        result = result.replace(/\ba\s*tt\s*ack\b/gi, 'attack');
-        result = result.replace(/\ba\s*tt\s*rib/gi, 'attrib');
-        result = result.replace(/\ba\s*tt\s*empt/gi, 'attempt');
-        result = result.replace(/\ba\s*tt\s*ach/gi, 'attach');
-        result = result.replace(/\ba\s*tt\s*end/gi, 'attend');
-        result = result.replace(/\ba\s*tt\s*ention/gi, 'attention');
-        result = result.replace(/\ba\s*tt\s*ain/gi, 'attain');
-        result = result.replace(/\ba\s*tt\s*itude/gi, 'attitude');
-        result = result.replace(/\ba\s*tt\s*orney/gi, 'attorney');
-        result = result.replace(/\ba\s*tt\s*ract/gi, 'attract');
-        
-        // Handle standalone 'a' followed by 'tt' patterns
-        result = result.replace(/\ba\s+tt(?=[aeiou])/gi, 'att');
-        
-        // Handle 'ti' inside common CS/IT terms
-        result = result.replace(/\bauthen\s*ti\s*cat/gi, 'authenticat');
-        result = result.replace(/\bno\s*ti\s*f/gi, 'notif');
-        result = result.replace(/\bmul\s*ti\s*pl/gi, 'multipl');
-        result = result.replace(/\brepe\s*ti\s*t/gi, 'repetit');
-        result = result.replace(/\bpar\s*ti\s*t/gi, 'partit');
-        result = result.replace(/\bcompe\s*ti\s*t/gi, 'competit');
-        result = result.replace(/\bprac\s*ti\s*c/gi, 'practic');
-        result = result.replace(/\bac\s*ti\s*ve/gi, 'active');
-        result = result.replace(/\brela\s*ti\s*on/gi, 'relation');
-        result = result.replace(/\bloca\s*ti\s*on/gi, 'location');
-        result = result.replace(/\bop\s*ti\s*m/gi, 'optim');
-        result = result.replace(/\bexecu\s*ti\s*on/gi, 'execution');
-        result = result.replace(/\bcrea\s*ti\s*on/gi, 'creation');
-        result = result.replace(/\bsta\s*ti\s*c/gi, 'static');
-        result = result.replace(/\bini\s*ti\s*al/gi, 'initial');
-        result = result.replace(/\bpoten\s*ti\s*al/gi, 'potential');
-        result = result.replace(/\bessen\s*ti\s*al/gi, 'essential');
-        result = result.replace(/\bcons\s*ti\s*tu/gi, 'constitu');
-        result = result.replace(/\bdis\s*ti\s*nc/gi, 'distinc');
-        
-        // ========================================
-        // FINAL CATCH-ALL: Fix any remaining orphaned ti/tt in middle of words
-        // Pattern: wordpart + space + ti/tt + space + wordpart
-        // Only matches when ti/tt is clearly orphaned between word parts
-        // ========================================
-        
-        // Fix orphaned "ti" between word parts (e.g., "recti fier" -> "rectifier")
-        result = result.replace(/([a-zA-Z]{2,})\s+ti\s+([a-zA-Z]{2,})/g, '$1ti$2');
-        
-        // Fix orphaned "tt" between word parts (e.g., "a tt ack" remaining)
-        result = result.replace(/([a-zA-Z]{1,})\s+tt\s+([a-zA-Z]{2,})/g, '$1tt$2');
-        
-        // Fix "ti" at start of suffix with space (e.g., "recti fier")
-        result = result.replace(/([a-zA-Z]{3,})ti\s+([a-zA-Z]{2,})/g, '$1ti$2');
-        
-        // Fix "ti" at end of prefix with space (e.g., "rec tifier")
-        result = result.replace(/([a-zA-Z]{2,})\s+ti([a-zA-Z]{2,})/g, '$1ti$2');
-        
-        // Fix "tt" at start of suffix with space
-        result = result.replace(/([a-zA-Z]{1,})tt\s+([a-zA-Z]{2,})/g, '$1tt$2');
-        
-        // Fix "tt" at end of prefix with space
-        result = result.replace(/([a-zA-Z]{1,})\s+tt([a-zA-Z]{2,})/g, '$1tt$2');
-        
-        // Aggressive fix: single letter + space + tt + letter pattern
-        result = result.replace(/\b([a-zA-Z])\s+tt([a-zA-Z]+)\b/g, '$1tt$2');
-        
-        // Aggressive fix: letter + tt + space + letter pattern
-        result = result.replace(/\b([a-zA-Z]+)tt\s+([a-zA-Z])\b/g, '$1tt$2');
-        
-        // Fix patterns where 'ti' appears with special characters around it
-        result = result.replace(/([a-zA-Z]{2,})\s*ti\s*([a-zA-Z]{2,})/g, (match, p1, p2) => {
-            // Only join if it looks like a broken word
-            const combined = p1 + 'ti' + p2;
-            const commonEndings = ['tion', 'tive', 'tic', 'tial', 'tity', 'ting', 'tle'];
-            if (commonEndings.some(e => combined.toLowerCase().includes(e))) {
-                return combined;
-            }
-            return match;
-        });
+        return this.textCorrector.correct(text);
+    }
 
-        return result;
+    /**
+     * Replace the user's own text correction rules
+     */
+    setCorrectionRules(rules) {
+        this.textCorrector.setUserRules(rules);
     }
 
     /**
@@ -995,13 +1327,9 @@ class PDFParser {
     cleanText(text) {
         if (!text) return '';
 
-        let result = this.fixLigatures(text);
+        let result = this.textCorrector.mapCharacters(text);
 
-        // Remove common watermarks and page markers
-        result = result.replace(/The\s*Mann\s*Maker\s*\|\s*RANJAN\s*KALINDI\s*\d*/gi, '');
-        result = result.replace(/RANJAN\s*KALINDI\s*\d*/gi, '');
-        result = result.replace(/The\s*Mann\s*Maker/gi, '');
-        result = result.replace(/Page\s*\d+\s*of\s*\d+/gi, '');
+        // Remove web addresses left by watermarks (repeated lines are stripped during extraction)
         result = result.replace(/www\.[a-zA-Z0-9.-]+\.(com|org|net|in)/gi, '');
 
         // Clean whitespace
@@ -1013,6 +1341,14 @@ class PDFParser {
         return result;
     }
 
+    /**
+     * Clean text typed into a question file: whitespace only, as its characters
+     * are meant as written
+     */
+    cleanTypedText(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+
     /**
      * Clean option text - removes embedded answers and explanations
      */
@@ -1022,18 +1358,18 @@ class PDFParser {
         let result = this.cleanText(text);
         
         // Remove "Answer: X)" and everything after it
-        result = result.replace(/\s*Answer\s*:\s*[A-Da-d]\s*\).*$/i, '');
-        result = result.replace(/\s*Ans\s*:\s*[A-Da-d]\s*\).*$/i, '');
-        result = result.replace(/\s*ANS\s*:\s*[A-Da-d]\s*\).*$/i, '');
-        result = result.replace(/\s*Correct\s*:\s*[A-Da-d]\s*\).*$/i, '');
+        result = result.replace(/\s*Answer\s*:\s*[A-Fa-f]\s*\).*$/i, '');
+        result = result.replace(/\s*Ans\s*:\s*[A-Fa-f]\s*\).*$/i, '');
+        result = result.replace(/\s*ANS\s*:\s*[A-Fa-f]\s*\).*$/i, '');
+        result = result.replace(/\s*Correct\s*:\s*[A-Fa-f]\s*\).*$/i, '');
         
         // Remove "Explanation:" and everything after it
         result = result.replace(/\s*Explanation\s*:.*$/i, '');
         result = result.replace(/\s*Exp\s*:.*$/i, '');
         
         // Remove standalone "Answer: X" at the end
-        result = result.replace(/\s*Answer\s*:\s*[A-Da-d]\s*$/i, '');
-        result = result.replace(/\s*Ans\s*:\s*[A-Da-d]\s*$/i, '');
+        result = result.replace(/\s*Answer\s*:\s*[A-Fa-f]\s*$/i, '');
+        result = result.replace(/\s*Ans\s*:\s*[A-Fa-f]\s*$/i, '');
         
         // Escape HTML entities to prevent tags like <br> from being interpreted
         result = this.escapeHtml(result);
@@ -1054,6 +1390,33 @@ class PDFParser {
             .replace(/'/g, '&#39;');
     }
 
+    /**
+     * Turn text escaped by escapeHtml back into plain text
+     */
+    unescapeHtml(text) {
+        if (!text) return '';
+        return text
+            .replace(/&#39;/g, "'")
+            .replace(/&quot;/g, '"')
+            .replace(/&gt;/g, '>')
+            .replace(/&lt;/g, '<')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Get the per-file parse reports from the last load
+     */
+    getReports() {
+        return this.reports;
+    }
+
+    /**
+     * Get the questions of each file from the last load, in the same order as its reports
+     */
+    getFileQuestions() {
+        return this.fileQuestions;
+    }
+
     /**
      * Get all loaded questions
      */
@@ -1061,18 +1424,59 @@ class PDFParser {
         return this.questions;
     }
 
+    /**
+     * Use questions and reports parsed earlier, such as the saved question bank
+     */
+    setQuestions(questions, reports) {
+        this.questions = questions;
+        this.reports = reports;
+    }
+
+    /**
+     * Describe everything that affects how a source parses: the parser version,
+     * the correction rules, its strip patterns and, when its report has scanned
+     * pages, whether OCR could run (call canRunOcr first). A saved parse with a
+     * different key is out of date.
+     */
+    getParseKey(sourcePdf, report = null) {
+        const scanned = Boolean(report && report.scannedPages > 0);
+        return JSON.stringify([
+            this.parserVersion,
+            this.textCorrector.userRules,
+            this.stripPatterns['*'] || [],
+            this.stripPatterns[sourcePdf] || [],
+            scanned ? Boolean(this.ocrEngine && this.ocrEngine.available) : null
+        ]);
+    }
+
+    /**
+     * Get questions that can be played - those without an answer key
+     * are only included when unscored play is enabled. A topic limits them
+     * to questions tagged with it.
+     */
+    getPlayableQuestions(includeUnscored = false, topic = '') {
+        const questions = topic
+            ? this.questions.filter(q => (q.tags || []).includes(topic))
+            : this.questions;
+        if (includeUnscored) {
+            return questions;
+        }
+        return questions.filter(q => q.answerConfidence !== 'missing');
+    }
+
     /**
      * Get random questions for a round
      * If there aren't enough unused questions, recycle from all questions
      */
-    getRandomQuestions(count, excludeIds = []) {
-        let available = this.questions.filter(q => !excludeIds.includes(q.id));
+    getRandomQuestions(count, excludeIds = [], includeUnscored = false, topic = '') {
+        const pool = this.getPlayableQuestions(includeUnscored, topic);
+        let available = pool.filter(q => !excludeIds.includes(q.id));
         
         // If not enough unused questions, reset and use all questions
         if (available.length < count) {
             // Use whatever unused questions we have, then fill with random from all
             const unusedShuffled = this.shuffleArray([...available]);
-            const allShuffled = this.shuffleArray([...this.questions]);
+            const allShuffled = this.shuffleArray([...pool]);
             
             // Take all unused first, then fill remaining from all questions (may repeat)
             const result = [...unusedShuffled];
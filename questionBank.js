@@ -0,0 +1,184 @@
+/**
+ * Question Bank Module
+ * Keeps parsed PDFs in IndexedDB, keyed by a hash of the file content, so unchanged
+ * files are not parsed again on the next visit, along with the user's question edits
+ * and the folders they picked
+ */
+
+class QuestionBank {
+    constructor() {
+        this.dbName = 'mcq_question_bank';
+        this.storeName = 'sources';
+        this.overrideStoreName = 'overrides';
+        this.folderStoreName = 'folders';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 3);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'hash' });
+                    }
+                    if (!db.objectStoreNames.contains(this.overrideStoreName)) {
+                        db.createObjectStore(this.overrideStoreName, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(this.folderStoreName)) {
+                        db.createObjectStore(this.folderStoreName, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the sources store, or another store
+     */
+    async request(mode, operation, storeName = this.storeName) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get every saved source, oldest first. Each source is
+     * { hash, name, file, questions, report, parseKey, addedAt, parsedAt }.
+     */
+    async getAll() {
+        try {
+            const sources = await this.request('readonly', store => store.getAll());
+            return sources.sort((a, b) => a.addedAt - b.addedAt);
+        } catch (e) {
+            console.error('Error loading question bank:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save or replace a source
+     */
+    async put(source) {
+        try {
+            await this.request('readwrite', store => store.put(source));
+        } catch (e) {
+            console.error('Error saving to question bank:', e);
+        }
+    }
+
+    /**
+     * Remove a source by its content hash
+     */
+    async delete(hash) {
+        try {
+            await this.request('readwrite', store => store.delete(hash));
+        } catch (e) {
+            console.error('Error removing from question bank:', e);
+        }
+    }
+
+    /**
+     * Get every saved question edit (see QuestionOverrides)
+     */
+    async getOverrides() {
+        try {
+            return await this.request('readonly', store => store.getAll(), this.overrideStoreName);
+        } catch (e) {
+            console.error('Error loading question edits:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save or replace a question edit
+     */
+    async putOverride(override) {
+        try {
+            await this.request('readwrite', store => store.put(override), this.overrideStoreName);
+        } catch (e) {
+            console.error('Error saving question edit:', e);
+        }
+    }
+
+    /**
+     * Remove a question edit by question ID
+     */
+    async deleteOverride(id) {
+        try {
+            await this.request('readwrite', store => store.delete(id), this.overrideStoreName);
+        } catch (e) {
+            console.error('Error removing question edit:', e);
+        }
+    }
+
+    /**
+     * Get every remembered folder handle (see FolderLoader)
+     */
+    async getFolders() {
+        try {
+            return await this.request('readonly', store => store.getAll(), this.folderStoreName);
+        } catch (e) {
+            console.error('Error loading saved folders:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save or replace a remembered folder
+     */
+    async putFolder(folder) {
+        try {
+            await this.request('readwrite', store => store.put(folder), this.folderStoreName);
+        } catch (e) {
+            console.error('Error saving folder:', e);
+        }
+    }
+
+    /**
+     * Forget a remembered folder by its ID
+     */
+    async deleteFolder(id) {
+        try {
+            await this.request('readwrite', store => store.delete(id), this.folderStoreName);
+        } catch (e) {
+            console.error('Error removing saved folder:', e);
+        }
+    }
+
+    /**
+     * Hash a file's content: SHA-256 where Web Crypto is available, FNV-1a otherwise
+     */
+    static async hashFile(file) {
+        const buffer = await file.arrayBuffer();
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', buffer);
+            return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        let hash = 0x811c9dc5;
+        const bytes = new Uint8Array(buffer);
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `fnv-${(hash >>> 0).toString(16)}-${bytes.length}`;
+    }
+}
+
+// Export for use in app.js
+window.QuestionBank = QuestionBank;
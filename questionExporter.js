@@ -0,0 +1,168 @@
+/**
+ * Question Exporter Module
+ * Writes questions out as JSON, CSV or an Anki import file, for other tools
+ * and printed study material
+ */
+
+class QuestionExporter {
+    constructor(pdfParser) {
+        this.pdfParser = pdfParser;
+        this.formats = {
+            json: { extension: 'json', mimeType: 'application/json', label: 'JSON' },
+            csv: { extension: 'csv', mimeType: 'text/csv', label: 'CSV' },
+            anki: { extension: 'txt', mimeType: 'text/plain', label: 'Anki deck' }
+        };
+    }
+
+    /**
+     * Export questions in one of the formats. Returns { content, fileName, mimeType }.
+     */
+    export(questions, format) {
+        const { extension, mimeType } = this.formats[format];
+        const content = {
+            json: () => this.toJSON(questions),
+            csv: () => this.toCSV(questions),
+            anki: () => this.toAnki(questions)
+        }[format]();
+        const date = new Date().toISOString().slice(0, 10);
+
+        return { content, fileName: `question-bank-${date}${format === 'anki' ? '-anki' : ''}.${extension}`, mimeType };
+    }
+
+    /**
+     * Option texts are kept HTML-escaped for display; exports use plain text
+     */
+    getOptionTexts(question) {
+        return question.options.map(opt => this.pdfParser.unescapeHtml(opt.text));
+    }
+
+    /**
+     * Correct letters of a question as an array (empty when it has no answer key)
+     */
+    getAnswerLetters(question) {
+        if (question.answer === null) return [];
+        return Array.isArray(question.answer) ? question.answer : [question.answer];
+    }
+
+    /**
+     * "CS SET 1.pdf Q12" labels for every source a question was found in
+     */
+    getSourceLabels(question) {
+        const sources = question.sources || [{ source: question.source, number: question.number }];
+        return sources.map(s => `${this.pdfParser.stripTimestamp(s.source)} Q${s.number}`);
+    }
+
+    /**
+     * Topics a question is tagged with
+     */
+    getTopics(question) {
+        return question.tags || question.topics || [];
+    }
+
+    /**
+     * JSON in the schema the importer reads, plus the question's ID, sources and figures
+     */
+    toJSON(questions) {
+        const data = {
+            exportedAt: new Date().toISOString(),
+            count: questions.length,
+            questions: questions.map(question => {
+                const entry = {
+                    id: question.id,
+                    number: question.number,
+                    source: question.source,
+                    sources: this.getSourceLabels(question),
+                    type: question.type,
+                    question: question.question,
+                    code: question.code,
+                    options: this.getOptionTexts(question),
+                    answer: question.answer,
+                    answerConfidence: question.answerConfidence,
+                    explanation: question.explanation,
+                    topics: this.getTopics(question)
+                };
+                if (question.figures && question.figures.length > 0) {
+                    entry.figures = question.figures.map(figure => ({ page: figure.page, image: figure.image }));
+                }
+                return entry;
+            })
+        };
+        return JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * CSV with the columns the importer reads (Question, Option A-F, Answer,
+     * Explanation, Code, Topics) plus Source. Starts with a byte order mark so
+     * spreadsheets open it as UTF-8.
+     */
+    toCSV(questions) {
+        const optionCount = Math.max(4, ...questions.map(q => q.options.length));
+        const letters = Array.from({ length: optionCount }, (_, i) => String.fromCharCode(65 + i));
+        const header = ['Question', ...letters.map(letter => `Option ${letter}`), 'Answer', 'Explanation', 'Code', 'Topics', 'Source'];
+
+        const rows = questions.map(question => {
+            const options = this.getOptionTexts(question);
+            return [
+                question.question,
+                ...letters.map((_, i) => options[i] || ''),
+                this.getAnswerLetters(question).join(', '),
+                question.explanation || '',
+                question.code || '',
+                this.getTopics(question).join('; '),
+                this.getSourceLabels(question).join('; ')
+            ];
+        });
+
+        return '\uFEFF' + [header, ...rows].map(row => row.map(cell => this.quoteCSV(cell)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV cell when it contains a delimiter, quote or line break
+     */
+    quoteCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Tab-separated Anki import file with Front (question, code and options),
+     * Back (the correct options) and Explanation fields, tagged by source and topic
+     */
+    toAnki(questions) {
+        const escape = (text) => this.pdfParser.escapeHtml(text || '');
+        const field = (html) => html.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+        const tag = (label) => label.replace(/\.pdf\b/i, '').replace(/\s+Q\d+$/, '').replace(/[^\w-]+/g, '_');
+
+        const lines = [
+            '#separator:tab',
+            '#html:true',
+            '#columns:Front\tBack\tExplanation\tTags',
+            '#tags column:4'
+        ];
+        questions.forEach(question => {
+            const answer = this.getAnswerLetters(question);
+            const options = question.options
+                .map(opt => `<li>${opt.letter}) ${opt.text}</li>`)
+                .join('');
+            const front = [
+                escape(question.question),
+                question.code ? `<pre><code>${escape(question.code)}</code></pre>` : '',
+                `<ul style="list-style: none;">${options}</ul>`
+            ].join('');
+            const back = answer.length > 0
+                ? question.options
+                    .filter(opt => answer.includes(opt.letter))
+                    .map(opt => `${opt.letter}) ${opt.text}`)
+                    .join('<br>')
+                : 'No answer key';
+            const tags = [...new Set([...this.getSourceLabels(question), ...this.getTopics(question)].map(tag))].join(' ');
+
+            lines.push([front, back, escape(question.explanation), tags].map(field).join('\t'));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Export for use in app.js
+window.QuestionExporter = QuestionExporter;
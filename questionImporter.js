@@ -0,0 +1,556 @@
+/**
+ * Question Importer Module
+ * Reads question banks written by hand - JSON, CSV, Markdown, Aiken and Moodle GIFT -
+ * into the same question objects PDFParser produces
+ */
+
+class QuestionImporter {
+    constructor(pdfParser) {
+        this.pdfParser = pdfParser;
+        this.formats = {
+            json: 'json',
+            csv: 'csv',
+            md: 'markdown',
+            markdown: 'markdown',
+            txt: 'text',
+            aiken: 'aiken',
+            gift: 'gift'
+        };
+    }
+
+    /**
+     * File extensions the file picker should offer besides .pdf
+     */
+    getExtensions() {
+        return Object.keys(this.formats).map(ext => `.${ext}`);
+    }
+
+    /**
+     * Check whether a file is one of the imported formats (rather than a PDF)
+     */
+    canImport(file) {
+        return Boolean(this.getFormat(file.name));
+    }
+
+    /**
+     * Format of a file from its extension
+     */
+    getFormat(name) {
+        const match = name.toLowerCase().match(/\.([a-z]+)$/);
+        return match ? this.formats[match[1]] || null : null;
+    }
+
+    /**
+     * Import one file. Resolves to { questions, report } like a parsed PDF; a
+     * file that can't be read gets a report with an error and no questions, and
+     * JSON that isn't a question bank resolves to null, to be skipped.
+     */
+    async importFile(file) {
+        const report = this.pdfParser.createReport(file.name);
+
+        try {
+            const text = (await file.text()).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+            let format = this.getFormat(file.name);
+            if (format === 'text') {
+                format = this.looksLikeGift(text) ? 'gift' : 'aiken';
+            }
+
+            const items = {
+                json: () => this.readJSON(text),
+                csv: () => this.readCSV(text),
+                markdown: () => this.readMarkdown(text),
+                aiken: () => this.readAiken(text),
+                gift: () => this.readGIFT(text)
+            }[format]();
+            if (!items) return null;
+
+            const questions = [];
+            items.forEach((item, i) => {
+                const block = { num: item.number || i + 1, offset: item.offset || i, text: item.question || item.raw || '' };
+                const reason = item.reason || this.validate(item);
+                if (reason) {
+                    this.pdfParser.addReportEntry(report, block, 'rejected', null, `${format}: ${reason}`);
+                    return;
+                }
+                questions.push(this.buildQuestion(item, block.num, file.name));
+                this.pdfParser.addReportEntry(report, block, 'parsed', format, null);
+            });
+
+            return { questions: await this.pdfParser.finishQuestions(file, questions, report), report };
+        } catch (error) {
+            console.error(`Error importing ${file.name}:`, error);
+            report.error = error.message;
+            return { questions: [], report };
+        }
+    }
+
+    /**
+     * Why an item can't become a question, or null when it can
+     */
+    validate(item) {
+        if (!item.question || !item.question.trim()) return 'no question text';
+        if (!item.options || item.options.length < 2) return 'fewer than two options';
+        if (item.options.length > 6) return 'more than six options';
+        if (item.options.some(opt => !String(opt).trim())) return 'empty option';
+        return null;
+    }
+
+    /**
+     * Turn an item ({ question, options, answer, explanation, code, topics }) into a
+     * question object. The answer may be a letter, an array of letters, the text
+     * of the correct option, or option indexes from the readers below.
+     */
+    buildQuestion(item, num, source) {
+        const options = item.options.map(opt => String(opt));
+        const letters = this.resolveAnswer(item.answer, options);
+        const answer = letters.length === 0 ? null : (letters.length > 1 || item.multiple ? letters : letters[0]);
+
+        const question = this.pdfParser.createQuestion(num, source, item.question, options,
+            answer, answer ? 'explicit' : 'missing', true);
+        if (item.multiple && question.type !== 'multiple') {
+            question.type = 'multiple';
+            if (question.answer && !Array.isArray(question.answer)) question.answer = [question.answer];
+        }
+        question.explanation = item.explanation ? this.pdfParser.cleanTypedText(item.explanation) || null : null;
+        question.code = item.code ? String(item.code).replace(/^\n+|\s+$/g, '') : null;
+        question.topics = this.readTopics(item.topics);
+        question.id = this.pdfParser.getQuestionId(question);
+        return question;
+    }
+
+    /**
+     * Topics given as an array or a "Networks; Security" list
+     */
+    readTopics(topics) {
+        const list = Array.isArray(topics) ? topics : String(topics || '').split(/[;,]/);
+        return [...new Set(list.map(topic => String(topic).trim()).filter(Boolean))];
+    }
+
+    /**
+     * Sorted answer letters from an answer given as letters, option indexes or option text
+     */
+    resolveAnswer(answer, options) {
+        if (answer === null || answer === undefined || answer === '') return [];
+
+        const letterOf = (i) => String.fromCharCode(65 + i);
+        const values = Array.isArray(answer) ? answer : [answer];
+        const letters = values.flatMap(value => {
+            if (typeof value === 'number') {
+                return value >= 0 && value < options.length ? [letterOf(value)] : [];
+            }
+            const text = String(value).trim();
+            if (/^[A-Fa-f](?:\s*[,;&]\s*[A-Fa-f])*$/.test(text)) {
+                return this.pdfParser.parseAnswerLetters(text);
+            }
+            const key = this.pdfParser.normalizeForMatch(text);
+            const index = options.findIndex(opt => key && this.pdfParser.normalizeForMatch(opt) === key);
+            return index >= 0 ? [letterOf(index)] : [];
+        });
+
+        return [...new Set(letters)]
+            .filter(letter => letter.charCodeAt(0) - 65 < options.length)
+            .sort();
+    }
+
+    // ----------------------------------------
+    // JSON
+    // ----------------------------------------
+
+    /**
+     * JSON: an array of questions, or { "questions": [...] }. Each question is
+     * { question, options, answer, explanation?, code?, number?, multiple?, topics? } where
+     * options are strings (or { letter, text } objects, as exported by this app)
+     * and answer is "B", ["A", "C"] or the text of the correct option.
+     * Returns null for JSON that isn't a question bank, such as a manifest.
+     */
+    readJSON(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : data && Array.isArray(data.questions) ? data.questions : null;
+        if (!list) return null;
+
+        return list.map((entry, i) => {
+            if (!entry || typeof entry !== 'object') {
+                return { reason: 'not an object', raw: String(entry), offset: i };
+            }
+            const options = Array.isArray(entry.options)
+                ? entry.options.map(opt => (opt && typeof opt === 'object' ? opt.text : opt))
+                : [];
+            return {
+                number: Number.isInteger(entry.number) ? entry.number : null,
+                offset: i,
+                question: typeof entry.question === 'string' ? entry.question : '',
+                options: options.filter(opt => opt !== undefined && opt !== null),
+                answer: entry.answer,
+                explanation: entry.explanation || null,
+                code: entry.code || null,
+                topics: entry.topics || entry.topic || null,
+                multiple: entry.type === 'multiple' || entry.multiple === true
+            };
+        });
+    }
+
+    // ----------------------------------------
+    // CSV
+    // ----------------------------------------
+
+    /**
+     * CSV with a header row. Columns (any case): question, option columns named
+     * A-F, "Option A" or "Option 1" (or one "options" column separated by |),
+     * answer, and optional explanation, code and topics. Commas, semicolons or tabs.
+     */
+    readCSV(text) {
+        const firstLine = text.split('\n', 1)[0];
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+        const rows = this.parseCSVRows(text, delimiter).filter(row => row.some(cell => cell.trim()));
+        if (rows.length < 2) throw new Error('Expected a header row and at least one question');
+
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const column = (...names) => header.findIndex(h => names.includes(h));
+        const questionCol = column('question', 'question text', 'stem');
+        if (questionCol < 0) throw new Error('No "question" column in the header row');
+
+        const optionCols = header
+            .map((h, i) => ({ i, match: h.match(/^(?:option|choice)?\s*([a-f]|[1-6])$/) }))
+            .filter(col => col.match)
+            .map(col => col.i);
+        const optionsCol = column('options', 'choices');
+        const answerCol = column('answer', 'correct', 'correct answer', 'key');
+        const explanationCol = column('explanation', 'feedback');
+        const codeCol = column('code');
+        const topicsCol = column('topics', 'topic', 'tags', 'category', 'section');
+        const cell = (row, i) => (i >= 0 && row[i] !== undefined ? row[i].trim() : '');
+
+        return rows.slice(1).map((row, i) => ({
+            number: i + 1,
+            offset: i + 1,
+            question: cell(row, questionCol),
+            options: optionCols.length > 0
+                ? optionCols.map(col => cell(row, col)).filter(Boolean)
+                : cell(row, optionsCol).split('|').map(opt => opt.trim()).filter(Boolean),
+            answer: cell(row, answerCol),
+            explanation: cell(row, explanationCol) || null,
+            code: cell(row, codeCol) || null,
+            topics: cell(row, topicsCol) || null
+        }));
+    }
+
+    /**
+     * Split CSV text into rows of cells, honouring "quoted" cells with "" escapes
+     * and line breaks
+     */
+    parseCSVRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n') {
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    // ----------------------------------------
+    // Markdown
+    // ----------------------------------------
+
+    /**
+     * Markdown: each question is a heading or a numbered list item, followed by
+     * its options as a list. Mark correct options as task items ("- [x] ...") or
+     * add an "Answer: B" line. "Explanation: ..." lines or > quotes become the
+     * explanation, and a ``` fence before the options becomes the code snippet.
+     * Headings without a number or options are section titles, which become the
+     * topic of the questions under them.
+     */
+    readMarkdown(text) {
+        const items = [];
+        let item = null;
+        let fence = null;
+        let section = null;
+
+        const finish = () => {
+            if (item && (item.number || item.options.length > 0)) {
+                items.push(item);
+            } else if (item && item.heading) {
+                section = this.pdfParser.isDocumentTitle(item.heading) ? null : item.heading;
+            }
+            item = null;
+        };
+
+        text.split('\n').forEach((line, index) => {
+            if (fence !== null) {
+                if (/^\s*```/.test(line)) {
+                    if (item) item.code = fence;
+                    fence = null;
+                } else {
+                    fence += `${line}\n`;
+                }
+                return;
+            }
+            if (/^\s*```/.test(line)) {
+                fence = '';
+                return;
+            }
+
+            const start = line.match(/^(?:#{1,6}\s+(?:(?:Q(?:uestion)?\s*)?(\d+)[.):]?\s+)?|(\d+)[.)]\s+)(.+)$/i);
+            const bullet = line.match(/^\s*[-*+]\s+(?:\[([ xX])\]\s+)?(?:\(?[A-Fa-f][.)]\s+)?(.+)$/);
+            const lettered = line.match(/^\s*\(?[A-Fa-f][.)]\s+(.+)$/);
+            const answer = line.match(/^\s*\**(?:Answer|Ans|Correct)\**\s*:\**\s*(.+?)\**\s*$/i);
+            const explanation = line.match(/^\s*(?:>\s*)?\**(?:Explanation|Exp)\**\s*:\**\s*(.+)$/i);
+            const quote = line.match(/^\s*>\s?(.*)$/);
+
+            if (start) {
+                finish();
+                item = {
+                    number: parseInt(start[1] || start[2], 10) || null,
+                    offset: index,
+                    question: start[3].trim(),
+                    options: [],
+                    answer: [],
+                    explanation: null,
+                    code: null,
+                    topics: section,
+                    heading: line.startsWith('#') ? start[3].trim() : null
+                };
+            } else if (!item) {
+                return;
+            } else if (answer) {
+                item.answer = answer[1];
+            } else if (explanation) {
+                item.explanation = explanation[1];
+            } else if (bullet || lettered) {
+                if (bullet && bullet[1] && bullet[1].toLowerCase() === 'x' && Array.isArray(item.answer)) {
+                    item.answer.push(item.options.length);
+                }
+                item.options.push((bullet ? bullet[2] : lettered[1]).trim());
+            } else if (quote && item.options.length > 0) {
+                item.explanation = item.explanation ? `${item.explanation} ${quote[1]}` : quote[1];
+            } else if (line.trim() && item.options.length === 0) {
+                item.question += ` ${line.trim()}`;
+            }
+        });
+        finish();
+
+        return items.map(entry => ({
+            ...entry,
+            multiple: Array.isArray(entry.answer) && entry.answer.length > 1
+        }));
+    }
+
+    // ----------------------------------------
+    // Aiken
+    // ----------------------------------------
+
+    /**
+     * Aiken: the question on one or more lines, options as "A. text" or "A) text",
+     * then "ANSWER: B". Questions are separated by their ANSWER line.
+     */
+    readAiken(text) {
+        const items = [];
+        let item = null;
+
+        text.split('\n').forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+
+            const option = trimmed.match(/^([A-Fa-f])[.)]\s+(.+)$/);
+            const answer = trimmed.match(/^ANSWER\s*:\s*(.+)$/i);
+
+            if (!item) {
+                item = { offset: index, question: '', options: [], answer: null };
+            }
+            if (answer) {
+                item.answer = answer[1];
+                items.push(item);
+                item = null;
+            } else if (option && item.question) {
+                item.options.push(option[2]);
+            } else if (item.options.length === 0) {
+                item.question = item.question ? `${item.question} ${trimmed}` : trimmed;
+            } else {
+                // Text after the options without an ANSWER line starts a new question
+                items.push({ ...item, reason: 'no ANSWER line' });
+                item = { offset: index, question: trimmed, options: [], answer: null };
+            }
+        });
+        if (item) items.push({ ...item, reason: 'no ANSWER line' });
+
+        return items;
+    }
+
+    // ----------------------------------------
+    // GIFT
+    // ----------------------------------------
+
+    /**
+     * Check whether plain text uses GIFT answer blocks ({=right ~wrong})
+     */
+    looksLikeGift(text) {
+        return /\{[^}]*(?:^|[^\\])[=~][^}]*\}|\{\s*(?:T|F|TRUE|FALSE)\s*\}/m.test(text);
+    }
+
+    /**
+     * Moodle GIFT: multiple choice ({=right ~wrong}), multiple answer ({~%50%a ~%50%b ~%-100%c})
+     * and true/false ({T}, {FALSE}) questions. Other question types (short answer,
+     * numeric, matching, essay) are reported as rejected.
+     */
+    readGIFT(text) {
+        const withoutComments = text.split('\n').filter(line => !/^\s*\/\//.test(line)).join('\n');
+        const items = [];
+        let offset = 0;
+
+        for (const chunk of withoutComments.split(/\n\s*\n/)) {
+            const raw = chunk.trim();
+            offset++;
+            if (!raw || /^\$CATEGORY:/i.test(raw)) continue;
+
+            const block = this.splitGiftAnswers(raw);
+            if (!block) {
+                items.push({ offset, raw, reason: 'no answer block' });
+                continue;
+            }
+
+            const question = this.unescapeGift(
+                `${block.before}${block.after ? ` ___ ${block.after}` : ''}`
+                    .replace(/^::(?:\\.|[^:])*::/, '')
+                    .replace(/^\[(?:html|moodle|plain|markdown)\]/i, '')
+            ).trim();
+            items.push({ offset, question, ...this.readGiftAnswers(block.answers) });
+        }
+
+        return items;
+    }
+
+    /**
+     * Find the unescaped {...} answer block of a GIFT question
+     */
+    splitGiftAnswers(text) {
+        let open = -1;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '{' && open < 0) {
+                open = i;
+            } else if (text[i] === '}' && open >= 0) {
+                return {
+                    before: text.slice(0, open),
+                    answers: text.slice(open + 1, i),
+                    after: text.slice(i + 1).trim()
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read the options, answer and feedback of a GIFT answer block
+     */
+    readGiftAnswers(answers) {
+        const body = answers.trim();
+        const general = this.findUnescaped(body, '####');
+        const content = general >= 0 ? body.slice(0, general) : body;
+        const explanation = general >= 0 ? this.unescapeGift(body.slice(general + 4)).trim() : null;
+
+        const trueFalse = content.trim().match(/^(T|F|TRUE|FALSE)\b/i);
+        if (trueFalse) {
+            return {
+                options: ['True', 'False'],
+                answer: trueFalse[1].toUpperCase().startsWith('T') ? 'A' : 'B',
+                explanation
+            };
+        }
+        if (!content.trim()) return { reason: 'essay question' };
+        if (content.trim().startsWith('#')) return { reason: 'numeric question' };
+
+        // Split into =right / ~wrong entries at unescaped markers
+        const entries = [];
+        let current = null;
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (char === '\\' && i + 1 < content.length) {
+                if (current) current.text += char + content[i + 1];
+                i++;
+            } else if (char === '=' || char === '~') {
+                current = { marker: char, text: '' };
+                entries.push(current);
+            } else if (current) {
+                current.text += char;
+            }
+        }
+        if (entries.some(entry => entry.text.includes('->'))) return { reason: 'matching question' };
+        if (!entries.some(entry => entry.marker === '~')) return { reason: 'short answer question' };
+
+        const options = [];
+        const correct = [];
+        entries.forEach(entry => {
+            // Drop the answer's own #feedback
+            const feedback = this.findUnescaped(entry.text, '#');
+            let text = feedback >= 0 ? entry.text.slice(0, feedback) : entry.text;
+            const weight = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+            text = text.replace(/^\s*%-?\d+(?:\.\d+)?%/, '');
+            if (entry.marker === '=' || (weight && parseFloat(weight[1]) > 0)) {
+                correct.push(options.length);
+            }
+            options.push(this.unescapeGift(text).trim());
+        });
+
+        return {
+            options,
+            answer: correct,
+            multiple: correct.length > 1 || entries.every(entry => entry.marker === '~'),
+            explanation
+        };
+    }
+
+    /**
+     * Index of the first occurrence of a token not escaped with a backslash, or -1
+     */
+    findUnescaped(text, token) {
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text.startsWith(token, i)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Undo GIFT's backslash escapes
+     */
+    unescapeGift(text) {
+        return text.replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').replace(/\s+/g, ' ');
+    }
+}
+
+// Export for use in app.js
+window.QuestionImporter = QuestionImporter;
@@ -0,0 +1,193 @@
+/**
+ * Question Overrides Module
+ * Edits, additions and deletions made in the question editor. They are stored
+ * apart from the parsed sources and applied again after every re-parse.
+ */
+
+class QuestionOverrides {
+    constructor(questionBank, pdfParser) {
+        this.questionBank = questionBank;
+        this.pdfParser = pdfParser;
+        this.addedSource = 'Added questions';
+        this.overrides = new Map();
+    }
+
+    /**
+     * Load the saved overrides. Each is
+     * { id, kind: 'edit' | 'add' | 'delete', source, number, question, updatedAt }
+     * where question holds { type, question, code, options, answer, explanation }
+     * with options as plain texts.
+     */
+    async load() {
+        const overrides = await this.questionBank.getOverrides();
+        this.overrides = new Map(overrides.map(override => [override.id, override]));
+    }
+
+    /**
+     * Get the override of a question ID, if any
+     */
+    get(id) {
+        return this.overrides.get(id) || null;
+    }
+
+    /**
+     * Deleted questions, newest first, for the editor to offer restoring them
+     */
+    getDeleted() {
+        return [...this.overrides.values()]
+            .filter(override => override.kind === 'delete')
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Apply the overrides to freshly parsed questions. Edits and deletions are
+     * matched by question ID, or by source and number when a parser update has
+     * changed a question's text (and so its ID). Numbers repeat when sections
+     * restart, so only overrides whose ID is gone are matched by position, each
+     * to one question. Added questions come last.
+     */
+    apply(questions) {
+        const parsedIds = new Set(questions.map(question => question.id));
+        const byPosition = new Map();
+        this.overrides.forEach(override => {
+            if (override.kind !== 'add' && !parsedIds.has(override.id)) {
+                byPosition.set(this.getPositionKey(override), override);
+            }
+        });
+
+        const result = [];
+        questions.forEach(question => {
+            let override = this.overrides.get(question.id);
+            if (!override) {
+                const key = this.getPositionKey(question);
+                override = byPosition.get(key);
+                byPosition.delete(key);
+            }
+            if (!override || override.kind === 'add') {
+                result.push(question);
+            } else if (override.kind === 'edit') {
+                result.push(this.buildQuestion(override, question));
+            }
+        });
+
+        [...this.overrides.values()]
+            .filter(override => override.kind === 'add')
+            .sort((a, b) => a.number - b.number)
+            .forEach(override => result.push(this.buildQuestion(override)));
+
+        return result;
+    }
+
+    /**
+     * "CS SET 1.pdf-12" style key, ignoring the download timestamp prefix
+     */
+    getPositionKey({ source, number }) {
+        return `${this.pdfParser.stripTimestamp(source)}-${number}`;
+    }
+
+    /**
+     * Build a question object from an override, keeping the parsed question's
+     * ID and figures when there is one
+     */
+    buildQuestion(override, parsed = null) {
+        const { type, question, code, options, answer, explanation } = override.question;
+        return {
+            ...(parsed || { figures: [] }),
+            id: override.id,
+            number: override.number,
+            type: type,
+            question: question,
+            options: options.map((text, i) => ({
+                letter: String.fromCharCode(65 + i),
+                text: this.pdfParser.escapeHtml(text)
+            })),
+            answer: answer,
+            answerConfidence: answer === null ? 'missing' : 'explicit',
+            explanation: explanation || null,
+            code: code || null,
+            source: override.source,
+            edited: override.kind
+        };
+    }
+
+    /**
+     * The editable fields of a question, with plain option texts
+     */
+    getFields(question) {
+        return {
+            type: question.type,
+            question: question.question,
+            code: question.code,
+            options: question.options.map(opt => this.pdfParser.unescapeHtml(opt.text)),
+            answer: question.answer,
+            explanation: question.explanation
+        };
+    }
+
+    /**
+     * Save an edit of a parsed or added question
+     */
+    async saveEdit(question, fields) {
+        const existing = this.get(question.id);
+        await this.save({
+            id: question.id,
+            kind: existing && existing.kind === 'add' ? 'add' : 'edit',
+            source: question.source,
+            number: question.number,
+            question: fields
+        });
+    }
+
+    /**
+     * Add a new question to the added questions source
+     */
+    async add(fields) {
+        const number = [...this.overrides.values()].filter(override => override.kind === 'add').length + 1;
+        const id = this.pdfParser.getQuestionId({
+            question: `${fields.question} ${Date.now()}`,
+            code: fields.code,
+            options: fields.options.map(text => ({ text }))
+        });
+        await this.save({ id, kind: 'add', source: this.addedSource, number, question: fields });
+        return id;
+    }
+
+    /**
+     * Delete a question: added questions are dropped, parsed ones are hidden
+     * (keeping a copy so they can be restored)
+     */
+    async delete(question) {
+        const existing = this.get(question.id);
+        if (existing && existing.kind === 'add') {
+            await this.revert(question.id);
+            return;
+        }
+        await this.save({
+            id: question.id,
+            kind: 'delete',
+            source: question.source,
+            number: question.number,
+            question: this.getFields(question)
+        });
+    }
+
+    /**
+     * Drop an edit or deletion, going back to the parsed question
+     */
+    async revert(id) {
+        this.overrides.delete(id);
+        await this.questionBank.deleteOverride(id);
+    }
+
+    /**
+     * Store an override
+     */
+    async save(override) {
+        const stored = { ...override, updatedAt: Date.now() };
+        this.overrides.set(stored.id, stored);
+        await this.questionBank.putOverride(stored);
+    }
+}
+
+// Export for use in app.js
+window.QuestionOverrides = QuestionOverrides;
@@ -0,0 +1,69 @@
+/**
+ * Quiz Settings Module
+ * Stores user preferences for how questions are loaded and played in localStorage
+ */
+
+class QuizSettings {
+    constructor() {
+        this.storageKey = 'mcq_quiz_settings';
+        this.loadSettings();
+    }
+
+    /**
+     * Get default settings
+     */
+    getDefaultSettings() {
+        return {
+            includeUnscored: false,
+            multiSelectScoring: 'all-or-nothing',
+            correctionRules: [],
+            stripPatterns: {},
+            keepSeparate: [],
+            questionTags: {},
+            topicFilter: '',
+            disabledSources: []
+        };
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.data = { ...this.getDefaultSettings(), ...(stored ? JSON.parse(stored) : {}) };
+        } catch (e) {
+            console.error('Error loading settings:', e);
+            this.data = this.getDefaultSettings();
+        }
+    }
+
+    /**
+     * Save settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (e) {
+            console.error('Error saving settings:', e);
+        }
+    }
+
+    /**
+     * Get a setting value
+     */
+    get(key) {
+        return this.data[key];
+    }
+
+    /**
+     * Update a setting value and persist it
+     */
+    set(key, value) {
+        this.data[key] = value;
+        this.saveSettings();
+    }
+}
+
+// Export for use in app.js
+window.QuizSettings = QuizSettings;
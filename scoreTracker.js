@@ -6,6 +6,9 @@
 class ScoreTracker {
     constructor() {
         this.storageKey = 'mcq_quiz_scores';
+        // Attempts kept, and how many of the latest keep their per-question responses
+        this.maxAttempts = 50;
+        this.maxResponseAttempts = 20;
         this.gistDatabase = null;
         this.syncStatus = 'local'; // 'local', 'syncing', 'synced', 'error'
         this.loadScores();
@@ -159,27 +162,32 @@ class ScoreTracker {
     }
 
     /**
-     * Record a new attempt
+     * Record a new attempt. Responses ({ id, selected, answer, scored }) are
+     * stored with the latest attempts only, as they are synced to the Gist too.
      */
-    async recordAttempt(roundScores, totalScore, totalQuestions) {
-        const accuracy = Math.round((totalScore / totalQuestions) * 100);
+    async recordAttempt(roundScores, totalScore, totalQuestions, unscoredCount = 0, responses = []) {
+        const accuracy = totalQuestions > 0 ? Math.round((totalScore / totalQuestions) * 100) : 0;
 
-        const attempt = {
+        const summary = {
             date: new Date().toISOString(),
             rounds: roundScores,
             totalScore: totalScore,
             totalQuestions: totalQuestions,
+            unscoredQuestions: unscoredCount,
             accuracy: accuracy
         };
+        const attempt = {
+            ...summary,
+            responses: responses
+        };
 
         this.data.attempts.unshift(attempt);
 
-        // Keep only last 50 attempts
-        if (this.data.attempts.length > 50) {
-            this.data.attempts = this.data.attempts.slice(0, 50);
-        }
+        // Keep only the last attempts, and responses for the latest of them
+        this.data.attempts = this.data.attempts.slice(0, this.maxAttempts);
+        this.data.attempts.slice(this.maxResponseAttempts).forEach(old => { delete old.responses; });
 
-        this.data.lastAttempt = attempt;
+        this.data.lastAttempt = summary;
         this.data.totalAttempts++;
 
         if (totalScore > this.data.bestScore) {
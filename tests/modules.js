@@ -0,0 +1,386 @@
+/**
+ * Module Checks
+ * Runs the modules that don't read PDFs in Node against small known inputs:
+ *
+ *   node tests/modules.js
+ *
+ * Lists each check and exits with status 1 when any of them fails.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+// The modules register themselves on window, as in the browser
+global.window = global;
+const root = path.join(__dirname, '..');
+['layoutExtractor.js', 'textCorrector.js', 'pdfParser.js', 'questionImporter.js', 'folderLoader.js',
+    'duplicateDetector.js', 'questionExporter.js', 'questionOverrides.js', 'topicTagger.js', 'mathRenderer.js']
+    .forEach(file => require(path.join(root, file)));
+const parser = new PDFParser();
+
+const checks = [];
+
+/**
+ * Add a check; run may be async and fails by throwing
+ */
+function check(name, run) {
+    checks.push({ name, run });
+}
+
+/**
+ * A File with the given name and text
+ */
+function textFile(name, text) {
+    return { name, text: async () => text };
+}
+
+/**
+ * A question as an imported file gives it; answer is a letter or an array of letters
+ */
+function makeQuestion(source, number, text, options, answer) {
+    const question = parser.createQuestion(number, source, text, options, answer, 'explicit', true);
+    question.id = parser.getQuestionId(question);
+    return question;
+}
+
+/**
+ * A File System Access API directory handle over a folder on disk
+ */
+function directoryHandle(dir) {
+    return {
+        kind: 'directory',
+        name: path.basename(dir),
+        async *values() {
+            for (const name of fs.readdirSync(dir).sort()) {
+                const full = path.join(dir, name);
+                yield fs.statSync(full).isDirectory()
+                    ? directoryHandle(full)
+                    : { kind: 'file', name, getFile: async () => ({ name }) };
+            }
+        }
+    };
+}
+
+/**
+ * The override store of QuestionBank, in memory
+ */
+function memoryBank() {
+    const stored = new Map();
+    return {
+        getOverrides: async () => [...stored.values()],
+        putOverride: async (override) => { stored.set(override.id, override); },
+        deleteOverride: async (id) => { stored.delete(id); }
+    };
+}
+
+// ----------------------------------------
+// Folder loading
+// ----------------------------------------
+
+check('a picked tech/ folder lists only its PDFs', async () => {
+    // The same file filter as app.js
+    const importer = new QuestionImporter(null);
+    const loader = new FolderLoader(null, (name) => /\.pdf$/i.test(name) || importer.canImport({ name }));
+
+    const files = await loader.readDirectoryHandle(directoryHandle(path.join(root, 'tech')));
+    assert.deepStrictEqual(files.map(file => file.name), [
+        '1761949456566-CS SET 1.pdf',
+        '1761949503058-CS Set 2.pdf',
+        '1761949542384-CS SET 3.pdf',
+        '1761949656338-CS SET 5.pdf'
+    ]);
+    assert.deepStrictEqual(loader.filterFiles([{ name: 'manifest.json' }, { name: 'bank.json' }]).map(file => file.name),
+        ['bank.json']);
+});
+
+check('JSON without questions is skipped, broken JSON is reported', async () => {
+    const importer = new QuestionImporter(parser);
+
+    const manifest = fs.readFileSync(path.join(root, 'tech', 'manifest.json'), 'utf8');
+    assert.strictEqual(await importer.importFile(textFile('manifest.json', manifest)), null);
+
+    const broken = await importer.importFile(textFile('bank.json', '{ "questions": ['));
+    assert.strictEqual(broken.questions.length, 0);
+    assert.ok(broken.report.error, 'expected a report error');
+});
+
+// ----------------------------------------
+// Question files
+// ----------------------------------------
+
+check('JSON, CSV, Markdown, Aiken and GIFT files import the same questions', async () => {
+    const importer = new QuestionImporter(parser);
+    const dir = path.join(root, 'tests', 'fixtures', 'import');
+    const imported = {};
+    for (const name of fs.readdirSync(dir).sort()) {
+        const { questions, report } = await importer.importFile(textFile(name, fs.readFileSync(path.join(dir, name), 'utf8')));
+        assert.strictEqual(report.error, null, `${name}: ${report.error}`);
+        imported[path.extname(name).slice(1)] = questions;
+    }
+    assert.deepStrictEqual(Object.keys(imported), ['csv', 'gift', 'json', 'md', 'txt']);
+
+    const expected = imported.json;
+    assert.deepStrictEqual(expected.map(q => [q.type, q.answer, q.question, q.options.map(o => o.text)]), [
+        ['single', 'B', 'Which protocol is used to send email?', ['HTTP', 'SMTP', 'FTP', 'POP3']],
+        ['multiple', ['A', 'B'], 'Which of these sorting algorithms are stable? (Select all that apply)',
+            ['Merge sort', 'Insertion sort', 'Quick sort', 'Heap sort']],
+        ['single', 'A', 'In C, what does "x < y && y > z" evaluate to when x = 1, y = 2, z = 3?',
+            ['0', '1', '2', 'A compile error']]
+    ]);
+    assert.deepStrictEqual(expected.map(q => q.topics), [['Networks'], ['Algorithms'], ['C Programming']]);
+
+    const fields = q => [q.id, q.type, q.answer, q.question, q.options];
+    for (const [format, questions] of Object.entries(imported)) {
+        assert.deepStrictEqual(questions.map(fields), expected.map(fields), `${format} questions differ`);
+        // Aiken has no explanations, GIFT and Aiken have no topics
+        if (format !== 'txt') {
+            assert.deepStrictEqual(questions.map(q => q.explanation), expected.map(q => q.explanation), `${format} explanations differ`);
+        }
+        if (format !== 'txt' && format !== 'gift') {
+            assert.deepStrictEqual(questions.map(q => q.topics), expected.map(q => q.topics), `${format} topics differ`);
+        }
+    }
+});
+
+// ----------------------------------------
+// Exports
+// ----------------------------------------
+
+check('exports write plain text to CSV, escaped HTML to Anki, and import back unchanged', async () => {
+    const first = makeQuestion('1761949456566-CS SET 1.pdf', 2, 'Which expression is true when "a" is 1, b is 0?',
+        ['a && b', 'a || b', 'a < b', '!a'], 'B');
+    first.explanation = 'Only one side of || needs to be true.';
+    first.topics = ['C Programming'];
+    const second = makeQuestion('1761949503058-CS Set 2.pdf', 14, 'Which lines print 1?', ['Line 1', 'Line 2', 'Line 3'], ['A', 'C']);
+    second.code = 'if (x)\n\tprintf("1");';
+    second.id = parser.getQuestionId(second);
+    const exporter = new QuestionExporter(parser);
+
+    assert.strictEqual(exporter.export([first, second], 'csv').content, '\uFEFF' + [
+        'Question,Option A,Option B,Option C,Option D,Answer,Explanation,Code,Topics,Source',
+        '"Which expression is true when ""a"" is 1, b is 0?",a && b,a || b,a < b,!a,B,Only one side of || needs to be true.,,C Programming,CS SET 1.pdf Q2',
+        'Which lines print 1?,Line 1,Line 2,Line 3,,"A, C",,"if (x)\n\tprintf(""1"");",,CS Set 2.pdf Q14',
+        ''
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(exporter.export([first, second], 'anki').content.split('\n').slice(4), [
+        'Which expression is true when &quot;a&quot; is 1, b is 0?<ul style="list-style: none;"><li>A) a &amp;&amp; b</li>' +
+            '<li>B) a || b</li><li>C) a &lt; b</li><li>D) !a</li></ul>\tB) a || b\tOnly one side of || needs to be true.\tCS_SET_1 C_Programming',
+        'Which lines print 1?<pre><code>if (x)<br> printf(&quot;1&quot;);</code></pre><ul style="list-style: none;"><li>A) Line 1</li>' +
+            '<li>B) Line 2</li><li>C) Line 3</li></ul>\tA) Line 1<br>C) Line 3\t\tCS_Set_2',
+        ''
+    ]);
+
+    // Importing an export gives back the same questions; number and source are the new file's
+    const importer = new QuestionImporter(parser);
+    const kept = q => [q.id, q.type, q.question, q.code, q.options, q.answer, q.explanation, q.topics];
+    for (const format of ['json', 'csv']) {
+        const { content } = exporter.export([first, second], format);
+        const { questions } = await importer.importFile(textFile(`bank.${format}`, content));
+        assert.deepStrictEqual(questions.map(kept), [first, second].map(kept), `${format} round trip differs`);
+    }
+});
+
+// ----------------------------------------
+// Editor overrides
+// ----------------------------------------
+
+check('edits follow a question by ID, or by position once its ID is gone', async () => {
+    const options = ['Queue', 'Stack', 'Heap', 'Tree'];
+    const lifo = makeQuestion('1761949456566-CS SET 1.pdf', 3, 'Which data structure is LIFO?', options, 'B');
+    const fifo = makeQuestion('1761949456566-CS SET 1.pdf', 4, 'Which data structure is FIFO?', options, 'A');
+    const bank = memoryBank();
+    const overrides = new QuestionOverrides(bank, parser);
+    await overrides.saveEdit(lifo, { ...overrides.getFields(lifo), options: ['Queue', 'Stack', 'Heap', 'a < b'] });
+    await overrides.saveEdit(fifo, { ...overrides.getFields(fifo), answer: 'D' });
+
+    // Reloading reads the saved overrides back
+    const reloaded = new QuestionOverrides(bank, parser);
+    await reloaded.load();
+    const applied = reloaded.apply([lifo, fifo]);
+    assert.deepStrictEqual(applied.map(q => [q.id, q.answer, q.edited]), [[lifo.id, 'B', 'edit'], [fifo.id, 'D', 'edit']]);
+    assert.strictEqual(applied[0].options[3].text, 'a &lt; b');
+
+    // A parser update changes the FIFO question's text; numbers repeat in a restarted section
+    const reparsed = makeQuestion('CS SET 1.pdf', 4, 'Which data structure is F.I.F.O.?', options, 'A');
+    const restarted = makeQuestion('CS SET 1.pdf', 4, 'Which traversal uses a queue?', ['DFS', 'BFS'], 'B');
+    const unrelated = makeQuestion('CS SET 1.pdf', 3, 'Which sort is stable?', ['Merge', 'Heap'], 'A');
+    assert.deepStrictEqual(reloaded.apply([lifo, unrelated, reparsed, restarted]).map(q => [q.id, q.answer, q.edited]), [
+        [lifo.id, 'B', 'edit'],
+        [unrelated.id, 'A', undefined],
+        [fifo.id, 'D', 'edit'],
+        [restarted.id, 'B', undefined]
+    ]);
+});
+
+check('deletions hide questions and added questions come last', async () => {
+    const options = ['True', 'False'];
+    const first = makeQuestion('a.pdf', 1, 'TCP is connection-oriented.', options, 'A');
+    const second = makeQuestion('a.pdf', 2, 'UDP guarantees delivery.', options, 'B');
+    const overrides = new QuestionOverrides(memoryBank(), parser);
+
+    await overrides.delete(second);
+    const added = await overrides.add({ type: 'single', question: 'IP is a layer 3 protocol.', code: null, options, answer: 'A', explanation: null });
+    const removed = await overrides.add({ type: 'single', question: 'ARP is a layer 7 protocol.', code: null, options, answer: 'B', explanation: null });
+    assert.deepStrictEqual(overrides.apply([first, second]).map(q => [q.id, q.source, q.edited]), [
+        [first.id, 'a.pdf', undefined],
+        [added, 'Added questions', 'add'],
+        [removed, 'Added questions', 'add']
+    ]);
+    assert.deepStrictEqual(overrides.getDeleted().map(override => override.id), [second.id]);
+
+    // Deleting an added question drops it; restoring a deletion brings the parsed question back
+    await overrides.delete(overrides.apply([])[1]);
+    await overrides.revert(second.id);
+    assert.deepStrictEqual(overrides.apply([first, second]).map(q => q.id), [first.id, second.id, added]);
+});
+
+// ----------------------------------------
+// Topics
+// ----------------------------------------
+
+check('manual tags win over section headings, which win over keywords', () => {
+    const tagger = new TopicTagger();
+    const withTopics = (question, topics) => Object.assign(question, { topics });
+    const questions = [
+        withTopics(makeQuestion('a.pdf', 1, 'Which normal form removes transitive dependencies?', ['1NF', '2NF', '3NF', 'BCNF'], 'C'), ['DBMS']),
+        makeQuestion('a.pdf', 2, 'Which protocol resolves a domain name to an IP address?', ['DNS', 'DHCP', 'ARP', 'FTP'], 'A'),
+        makeQuestion('a.pdf', 3, 'What is the output of printf("%d", 5 / 2) in C?', ['2', '2.5', '3', '0'], 'A'),
+        makeQuestion('a.pdf', 4, 'Which of these is a prime number?', ['4', '6', '7', '9'], 'C'),
+        withTopics(makeQuestion('a.pdf', 5, 'Which data structure is LIFO?', ['Queue', 'Stack', 'Heap', 'Tree'], 'B'), ['Networks'])
+    ];
+
+    tagger.apply(questions, { [questions[4].id]: ['Data Structures'] });
+    assert.deepStrictEqual(questions.map(q => [q.tags, q.tagSource]), [
+        [['Databases'], 'section'],
+        [['Computer Networks'], 'keyword'],
+        [['Programming'], 'keyword'],
+        [[], null],
+        [['Data Structures'], 'manual']
+    ]);
+    assert.deepStrictEqual(tagger.parseTags('dbms; OOP, Databases,,'), ['Databases', 'Object-Oriented Programming']);
+});
+
+check('topic stats count scored answers of loaded questions', () => {
+    const tagger = new TopicTagger();
+    const sql = makeQuestion('a.pdf', 1, 'Which SQL clause filters groups?', ['WHERE', 'HAVING', 'ORDER BY'], 'B');
+    const sort = makeQuestion('a.pdf', 2, 'Which sorts are stable?', ['Merge sort', 'Heap sort', 'Insertion sort'], ['A', 'C']);
+    tagger.apply([sql, sort], { [sql.id]: ['Databases'], [sort.id]: ['Algorithms'] });
+
+    const attempts = [
+        { responses: [
+            { id: sql.id, scored: true, selected: 'B', answer: 'B' },
+            { id: sort.id, scored: true, selected: ['C', 'A'], answer: ['A', 'C'] },
+            { id: 'q-gone', scored: true, selected: 'A', answer: 'A' }
+        ] },
+        { responses: [
+            { id: sql.id, scored: true, selected: 'A', answer: 'B' },
+            { id: sort.id, scored: true, selected: ['A'], answer: ['A', 'C'] },
+            { id: sort.id, scored: false, selected: ['A', 'C'], answer: ['A', 'C'] }
+        ] }
+    ];
+    assert.deepStrictEqual(tagger.getStats([sql, sort], attempts).map(({ topic, answered, correct, accuracy }) =>
+        [topic, answered, correct, accuracy]), [['Algorithms', 2, 1, 50], ['Databases', 2, 1, 50]]);
+});
+
+// ----------------------------------------
+// Math rendering
+// ----------------------------------------
+
+check('math rendering escapes HTML, including apostrophes that are not complements', () => {
+    const renderer = new MathRenderer();
+    const bar = letter => `<span class="math-bar">${letter}</span>`;
+    const cases = [
+        ['a < b && c > "d"', 'a &lt; b &amp;&amp; c &gt; &quot;d&quot;'],
+        ["<img src=x onerror='alert`1`'>", '&lt;img src=x onerror=&#39;alert`1`&#39;&gt;'],
+        ["It's the CPU's job", 'It&#39;s the CPU&#39;s job'],
+        ["Is 'NULL' or 'A' a keyword?", 'Is &#39;NULL&#39; or &#39;A&#39; a keyword?'],
+        ["A'B' + (A + B)'", `${bar('A')}${bar('B')} + ${bar('A + B')}`],
+        ["AB'C = A′", `A${bar('B')}C = ${bar('A')}`],
+        ['2^10 and f_max', '2<sup>10</sup> and f<sub>max</sub>'],
+        ["$\\frac{a'}{b}$ <b>", '<span class="math"><span class="math-frac"><span>a&#39;</span><span>b</span></span></span> &lt;b&gt;'],
+        ['$\\text{<i>}$', '<span class="math">&lt;i&gt;</span>']
+    ];
+    cases.forEach(([text, html]) => assert.strictEqual(renderer.render(text), html, text));
+});
+
+// ----------------------------------------
+// Duplicate detection
+// ----------------------------------------
+
+check('copies with damaged spacing, case and option order are merged', () => {
+    const detector = new DuplicateDetector();
+    const { questions, report } = detector.merge([
+        makeQuestion('a.pdf', 4, 'Which protocol is used to send email?', ['HTTP', 'SMTP', 'FTP', 'POP3'], 'B'),
+        makeQuestion('b.pdf', 9, 'Which  protocol is used to send e-mail ?', ['smtp', 'HTTP', 'POP3', 'FTP'], 'A')
+    ]);
+
+    assert.strictEqual(questions.length, 1);
+    assert.deepStrictEqual(questions[0].sources.map(s => `${s.source} Q${s.number}`), ['a.pdf Q4', 'b.pdf Q9']);
+    assert.strictEqual(report.groups.length, 1);
+    assert.ok(report.groups[0].members[1].similarity >= detector.questionThreshold);
+});
+
+check('questions below the similarity threshold or with other formulas stay apart', () => {
+    const detector = new DuplicateDetector();
+    const options = ['O(1)', 'O(log n)', 'O(n)', 'O(n log n)'];
+    const { questions, report } = detector.merge([
+        makeQuestion('a.pdf', 1, 'What is the worst-case time of binary search?', options, 'B'),
+        makeQuestion('a.pdf', 2, 'What is the average-case time of a hash table lookup?', options, 'A'),
+        makeQuestion('b.pdf', 1, 'What is the worst-case time of binary search?', ['O(1)', 'O(log n)', 'O(n²)', 'O(n log n)'], 'B')
+    ]);
+
+    assert.strictEqual(questions.length, 3);
+    assert.strictEqual(report.groups.length, 0);
+    assert.strictEqual(report.conflicts.length, 0);
+});
+
+check('look-alikes with different answers are kept apart and reported', () => {
+    const options = ['Queue', 'Stack', 'Heap', 'Tree'];
+    const { questions, report } = new DuplicateDetector().merge([
+        makeQuestion('a.pdf', 3, 'Which data structure is LIFO?', options, 'B'),
+        makeQuestion('b.pdf', 7, 'Which data structure is LIFO?', options, 'A')
+    ]);
+
+    assert.strictEqual(questions.length, 2);
+    assert.notStrictEqual(questions[0].id, questions[1].id, 'IDs must stay unique');
+    assert.deepStrictEqual(report.conflicts.map(c => c.sources), [['a.pdf Q3', 'b.pdf Q7']]);
+});
+
+check('"Keep separate" splits near-duplicates but not identical copies', () => {
+    const detector = new DuplicateDetector();
+    const first = makeQuestion('a.pdf', 1, 'Which layer routes packets?', ['Transport', 'Network', 'Session', 'Link'], 'B');
+    const near = makeQuestion('b.pdf', 1, 'Which layer routes the packets?', ['Transport', 'Network', 'Session', 'Link'], 'B');
+    const identical = makeQuestion('c.pdf', 5, 'Which layer routes packets?', ['Transport', 'Network', 'Session', 'Link'], 'B');
+
+    const split = detector.merge([first, near], [detector.getPairKey(first.id, near.id)]);
+    assert.strictEqual(split.questions.length, 2);
+
+    const kept = detector.merge([first, identical], [detector.getPairKey(first.id, identical.id)]);
+    assert.strictEqual(kept.questions.length, 1);
+});
+
+(async () => {
+    // Modules log the errors they recover from; show them only for failed checks
+    const logError = console.error;
+    let failed = 0;
+    for (const { name, run } of checks) {
+        const logged = [];
+        console.error = (...args) => logged.push(args.map(String).join(' '));
+        try {
+            await run();
+            console.log(`ok   ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`FAIL ${name}`);
+            console.log(`  ${[error.message, ...logged].join('\n').split('\n').join('\n  ')}`);
+        }
+    }
+    console.error = logError;
+    const plural = checks.length === 1 ? '' : 's';
+    console.log(failed === 0
+        ? `\nAll ${checks.length} check${plural} pass`
+        : `\n${failed} of ${checks.length} check${plural} failed`);
+    process.exitCode = failed === 0 ? 0 : 1;
+})();
@@ -0,0 +1,283 @@
+/**
+ * Text Corrector Module
+ * Data-driven repair of ligature and OCR artifacts in extracted PDF text
+ */
+
+class TextCorrector {
+    constructor(userRules = []) {
+        // Single characters that PDF fonts emit in place of ligatures, spacing or punctuation
+        this.charMap = {
+            // Spaces and invisible characters
+            '\u00A0': ' ', '\u2002': ' ', '\u2003': ' ', '\u2009': ' ',
+            '\u200B': '', '\u00AD': '', '\uFEFF': '',
+            // Ligature glyphs misread as letters (Calibri and similar fonts)
+            'η': 'tf', 'Η': 'tf', 'ƞ': 'tf',
+            'θ': 'ti', 'Θ': 'ti', 'Ɵ': 'ti', 'ɵ': 'ti',
+            'σ': 'tt', 'Σ': 'tt', 'ς': 'tt', 'Ʃ': 'tt',
+            'ƫ': 'tti',
+            'Õ': 'ft', 'õ': 'ft', 'Ō': 'ft', 'ō': 'ft',
+            'ƒ': 'f', 'µ': 'u',
+            // Standard Unicode ligatures
+            'ﬀ': 'ff', 'ﬁ': 'fi', 'ﬂ': 'fl', 'ﬃ': 'ffi', 'ﬄ': 'ffl',
+            'ﬅ': 'st', 'ﬆ': 'st',
+            // Typographic punctuation
+            '‘': "'", '’': "'", '“': '"', '”': '"',
+            '–': '-', '—': '-', '…': '...'
+        };
+
+        // Letter pairs that come out of a ligature and often end up split off by spaces
+        this.fragments = ['tt', 'ti', 'tf', 'ft', 'fi', 'fl'];
+
+        // Known words and stems that contain a ligature; "func ti on" is repaired to "function",
+        // and a stem such as "optim" also repairs "op ti mize"
+        this.dictionary = [
+            // tt
+            'attack', 'attacker', 'attach', 'attached', 'attachment', 'attain', 'attempt', 'attend',
+            'atten', 'attention', 'attitude', 'attorney', 'attract', 'attrib', 'attribute', 'attributes',
+            'better', 'bitter', 'bitten', 'bottle', 'bottom', 'battle', 'button', 'cotton', 'kitten',
+            'letter', 'little', 'matter', 'pattern', 'scatter', 'written',
+            'setting', 'getting', 'putting', 'hitting', 'sitting', 'cutting', 'spitting', 'splitting',
+            'omitting', 'admitting', 'permitting', 'permitted', 'transmitted', 'emitted', 'submitted',
+            'committed', 'formatted', 'formatting',
+            // ft / tf / fl
+            'after', 'left', 'shift', 'draft', 'craft', 'swift', 'lift', 'gift', 'software',
+            'printf', 'sprintf', 'scanf', 'fscanf', 'sscanf', 'flow', 'float', 'flag',
+            // fi
+            'define', 'defined', 'file', 'files', 'find', 'first', 'specific', 'specification',
+            'modifier', 'modification', 'identifier', 'classification', 'verification', 'artificial',
+            'rectifi', 'certifi', 'justifi',
+            // ti: -tion
+            'action', 'addition', 'edition', 'option', 'section', 'function', 'condition', 'position',
+            'transition', 'acquisition', 'proportion', 'partition', 'repetition', 'competition',
+            'insertion', 'deletion', 'selection', 'collection', 'connection', 'protection', 'detection',
+            'direction', 'correction', 'restriction', 'abstraction', 'transaction', 'interaction',
+            'subtraction', 'extraction', 'production', 'reduction', 'induction', 'deduction',
+            'introduction', 'instruction', 'encryption', 'decryption', 'description', 'prescription',
+            'subscription', 'relation', 'location', 'creation', 'allocation', 'validation', 'execution',
+            'iteration', 'operation', 'application', 'declaration', 'definition', 'notification',
+            'authentication', 'identification', 'initialization', 'optimization', 'realization',
+            'organization', 'authorization', 'visualization', 'normalization', 'synchronization',
+            'serialization', 'virtualization', 'localization', 'globalization', 'customization',
+            'solution', 'resolution', 'evolution', 'revolution', 'distribution', 'contribution',
+            'substitution', 'constitution', 'institution', 'prosecution', 'utiliza',
+            // ti: -tive / -tic / -tical
+            'active', 'positive', 'negative', 'relative', 'primitive', 'executive', 'iterative',
+            'transitive', 'sensitive', 'effective', 'selective', 'objective', 'subjective', 'addictive',
+            'predictive', 'restrictive', 'descriptive', 'productive', 'destructive', 'instructive',
+            'constructive', 'alternative', 'quantitative', 'qualitative', 'cooperative', 'competitive',
+            'automatic', 'pragmatic', 'static', 'systematic', 'problematic', 'schematic', 'diagrammatic',
+            'chromatic', 'aromatic', 'diplomatic', 'characteristic', 'heuristic', 'deterministic',
+            'probabilistic', 'linguistic', 'realistic', 'optimistic', 'pessimistic', 'stochastic',
+            'domestic', 'elastic', 'fantastic', 'drastic', 'plastic', 'tactic', 'synthetic', 'genetic',
+            'magnetic', 'aesthetic', 'semantic', 'authentic', 'identic', 'identical', 'critical',
+            'analytical', 'political', 'theoretical', 'alphabetical', 'grammatical', 'mathematical',
+            'statistical', 'vertical', 'practical', 'practice', 'practise',
+            // ti: -ting
+            'testing', 'sorting', 'printing', 'writing', 'editing', 'computing', 'counting', 'pointing',
+            'selecting', 'creating', 'deleting', 'updating', 'connecting', 'converting', 'representing',
+            'iterating', 'operating', 'generating', 'navigating', 'calculating', 'simulating',
+            'evaluating', 'validating', 'communicating', 'demonstrating', 'terminating', 'originating',
+            'redirecting', 'predicting', 'restarting', 'starting', 'exporting', 'importing',
+            'supporting', 'reporting', 'asserting', 'inserting', 'inverting', 'reverting', 'diverting',
+            'alternating', 'implementing', 'documenting', 'locating', 'correcting', 'existing',
+            'advertising', 'partitioning',
+            // ti: other words and stems
+            'identify', 'identified', 'identifies', 'identity', 'quantity', 'entity', 'entities',
+            'partial', 'initial', 'essential', 'potential', 'sequential', 'multiple', 'notice',
+            'article', 'particle', 'particular', 'artifact', 'ratio', 'patient', 'quotient',
+            'multipli', 'multipl', 'optim', 'activ', 'reactiv', 'proactiv', 'interactiv', 'captiv',
+            'nativ', 'motiv', 'initiat', 'negotiat', 'differentiat', 'authenticat', 'notif',
+            'repetit', 'partit', 'competit', 'practic', 'constitu', 'distinc'
+        ];
+
+        // Short words that are legitimately separate, so never glued to a neighbour on their own
+        this.stopWords = new Set([
+            'a', 'an', 'the', 'in', 'on', 'at', 'to', 'of', 'is', 'it', 'as', 'be', 'by', 'or', 'and',
+            'for', 'not', 'no', 'so', 'up', 'do', 'if', 'we', 'us', 'our', 'all', 'any', 'can', 'are',
+            'was', 'has', 'had', 'its', 'may', 'but', 'via', 'per', 'out', 'off', 'one', 'two',
+            'with', 'from', 'into', 'over', 'under', 'some', 'each', 'every', 'more', 'less', 'most',
+            'what', 'when', 'where', 'which', 'how'
+        ]);
+
+        this.charRegex = new RegExp(`[${Object.keys(this.charMap).join('')}]`, 'g');
+        // Greek letters and µ are real symbols too ("angle θ", "σ of the sample", "5 µs"),
+        // so they only stand for a ligature inside a Latin word
+        this.symbolChars = /[ηΗθΘσΣςµ]/;
+
+        // Cambria Math maps its small script-size glyphs to unrelated scripts: digits to
+        // U+0B34-U+0B3D, capitals to U+0BBA-U+0BD3 and small letters to U+0BD4-U+0BED
+        this.mathGlyphs = {
+            letters: /[\u0BBA-\u0BED]+/g,
+            superscripts: '⁰¹²³⁴⁵⁶⁷⁸⁹',
+            subscripts: '₀₁₂₃₄₅₆₇₈₉',
+            symbols: { '\u11F1': '′', '\u0DA5': '√', 'ℎ': 'h' }
+        };
+        this.wordRepairs = this.dictionary.map(word => this.buildRepairPattern(word));
+        this.setUserRules(userRules);
+    }
+
+    /**
+     * Replace the user's own find/replace rules ({ find, replace } pairs)
+     */
+    setUserRules(rules) {
+        this.userRules = (rules || []).filter(rule => rule && rule.find);
+    }
+
+    /**
+     * Run every correction over the text: user rules, character map, word repairs, then rejoining
+     */
+    correct(text) {
+        if (!text) return '';
+
+        let result = this.applyUserRules(text);
+        result = this.mapMathGlyphs(result);
+        result = this.mapCharacters(result);
+        result = this.repairWords(result);
+        result = this.rejoinSplitWords(result);
+
+        return result;
+    }
+
+    /**
+     * Apply user rules as literal, case-sensitive replacements
+     */
+    applyUserRules(text) {
+        return this.userRules.reduce((result, rule) => result.split(rule.find).join(rule.replace || ''), text);
+    }
+
+    /**
+     * Replace single misread characters using the character map
+     */
+    mapCharacters(text) {
+        if (!text) return '';
+        return text.replace(this.charRegex, (char, offset) => {
+            if (this.symbolChars.test(char) && !this.isInsideWord(text, offset)) return char;
+            // Theta right before a bracket is the bound Θ(n), not a "ti" ligature
+            if (this.charMap[char] === 'ti' && text[offset + 1] === '(') return char;
+            return this.charMap[char];
+        });
+    }
+
+    /**
+     * Whether the character at offset is part of a Latin word: letters on both
+     * sides ("funcθon"), or two or more on one side ("θme"), so "Σx" keeps its sigma
+     */
+    isInsideWord(text, offset) {
+        const before = text.slice(Math.max(0, offset - 2), offset);
+        const after = text.slice(offset + 1, offset + 3);
+        return (/[A-Za-z]$/.test(before) && /^[A-Za-z]/.test(after)) ||
+            /^[A-Za-z]{2}$/.test(before) || /^[A-Za-z]{2}$/.test(after);
+    }
+
+    /**
+     * Turn math font glyphs back into plain text: math italic letters into ASCII,
+     * script digits into superscripts (subscripts after "log" and for a lone 0, as
+     * in N₀) and script letters into "_x" / "_{xy}" subscripts
+     */
+    mapMathGlyphs(text) {
+        const { letters, superscripts, subscripts, symbols } = this.mathGlyphs;
+        return text
+            .replace(/[\u{1D400}-\u{1D7FF}]/gu, (char) => char.normalize('NFKC'))
+            .replace(/[\u11F1\u0DA5ℎ]/g, (char) => symbols[char])
+            .replace(/(log)?(\s*)([\u0B34-\u0B3D]+)/g, (match, log, space, run) => {
+                const values = [...run].map(char => char.charCodeAt(0) - 0x0B34);
+                const lowered = log || (values.length === 1 && values[0] === 0);
+                return (log || '') + (log ? '' : space) + values.map(v => (lowered ? subscripts : superscripts)[v]).join('');
+            })
+            .replace(letters, (run) => {
+                const sub = [...run].map(char => {
+                    const code = char.charCodeAt(0);
+                    return code < 0x0BD4 ? String.fromCharCode(65 + code - 0x0BBA) : String.fromCharCode(97 + code - 0x0BD4);
+                }).join('');
+                return sub.length > 1 ? `_{${sub}}` : `_${sub}`;
+            });
+    }
+
+    /**
+     * Build a regex that matches a dictionary word with whitespace around its ligature fragments
+     */
+    buildRepairPattern(word) {
+        const pieces = [];
+        let current = '';
+        let i = 0;
+
+        while (i < word.length) {
+            const fragment = this.fragments.find(f => word.startsWith(f, i));
+            if (fragment) {
+                if (current) pieces.push(current);
+                pieces.push(fragment);
+                current = '';
+                i += fragment.length;
+            } else {
+                current += word[i];
+                i++;
+            }
+        }
+        if (current) pieces.push(current);
+
+        return new RegExp(`\\b${pieces.join('[ \\t]*')}`, 'gi');
+    }
+
+    /**
+     * Close up dictionary words that were split around a ligature, keeping the original case
+     */
+    repairWords(text) {
+        return this.wordRepairs.reduce(
+            (result, pattern) => result.replace(pattern, (match) => match.replace(/[ \t]+/g, '')),
+            text
+        );
+    }
+
+    /**
+     * Rejoin runs of two or three split tokens when the joined form is a known word.
+     * Known words are the dictionary plus words the document itself uses intact. A run is
+     * left alone when every part is also used as a word of its own elsewhere ("over time"),
+     * or when it includes a stop word but no ligature fragment ("size of").
+     */
+    rejoinSplitWords(text) {
+        const tokens = [...text.matchAll(/[A-Za-z]+/g)].map(m => ({ word: m[0], start: m.index, end: m.index + m[0].length }));
+        const known = new Set(this.dictionary);
+        tokens.forEach(t => { if (t.word.length >= 4) known.add(t.word.toLowerCase()); });
+
+        // Find candidate runs, longest first at each position
+        const runs = [];
+        for (let i = 0; i < tokens.length - 1; i++) {
+            for (const size of [3, 2]) {
+                const run = tokens.slice(i, i + size);
+                if (run.length < size) continue;
+                const separated = run.slice(1).every((t, k) => /^[ \t]+$/.test(text.slice(run[k].end, t.start)));
+                if (separated && known.has(run.map(t => t.word).join('').toLowerCase())) {
+                    runs.push({ first: i, size });
+                    i += size - 1;
+                    break;
+                }
+            }
+        }
+        if (runs.length === 0) return text;
+
+        // Words used outside any candidate run count as standalone words
+        const inRun = new Set();
+        runs.forEach(r => { for (let k = r.first; k < r.first + r.size; k++) inRun.add(k); });
+        const standalone = new Set(this.stopWords);
+        tokens.forEach((t, i) => {
+            const word = t.word.toLowerCase();
+            if (!inRun.has(i) && !this.fragments.includes(word)) standalone.add(word);
+        });
+
+        let result = '';
+        let lastIndex = 0;
+        for (const { first, size } of runs) {
+            const run = tokens.slice(first, first + size);
+            const words = run.map(t => t.word.toLowerCase());
+            if (words.every(w => standalone.has(w))) continue;
+            if (words.some(w => this.stopWords.has(w)) && !words.some(w => this.fragments.includes(w))) continue;
+            result += text.slice(lastIndex, run[0].start) + run.map(t => t.word).join('');
+            lastIndex = run[run.length - 1].end;
+        }
+
+        return result + text.slice(lastIndex);
+    }
+}
+
+// Export for use in pdfParser.js
+window.TextCorrector = TextCorrector;
@@ -0,0 +1,239 @@
+/**
+ * Topic Tagger Module
+ * Tags questions with topics: the user's own tags first, then the section
+ * headings found in the source, then the best match of a keyword list
+ */
+
+class TopicTagger {
+    constructor() {
+        // Known topics with the names sources use for them and the keywords
+        // that give a question away. Earlier topics win ties.
+        this.topics = [
+            {
+                name: 'Digital Logic',
+                aliases: ['digital electronics', 'boolean algebra', 'logic design', 'number systems'],
+                keywords: ['logic gate', 'gate', 'nand', 'nor', 'xor', 'xnor', 'flip-flop', 'flip flop', 'latch',
+                    'multiplexer', 'demultiplexer', 'decoder', 'encoder', 'boolean', 'k-map', 'karnaugh', 'minterm',
+                    'maxterm', 'half adder', 'full adder', 'truth table', "two's complement", 'hexadecimal', 'octal',
+                    'binary', 'decimal', 'bits', 'comparator', 'sop', 'pos', 'digital circuit', 'combinational',
+                    'sequential circuit', 'logic expression']
+            },
+            {
+                name: 'Computer Architecture',
+                aliases: ['computer organization', 'computer organisation', 'coa', 'architecture'],
+                keywords: ['cpu', 'alu', 'cache', 'register', 'pipeline', 'pipelining', 'instruction set', 'addressing mode',
+                    'addressing', 'risc', 'cisc', 'dma', 'bus', 'memory hierarchy', 'microprocessor', 'processor',
+                    'control unit', 'floating-point', 'floating point', 'ieee 754', 'ram', 'rom', 'memory', 'storage',
+                    'non-volatile', 'eeprom', 'ssd']
+            },
+            {
+                name: 'Operating Systems',
+                aliases: ['os', 'operating system'],
+                keywords: ['operating system', 'process', 'thread', 'deadlock', 'scheduling', 'scheduler', 'semaphore',
+                    'mutex', 'paging', 'page fault', 'page replacement', 'kernel', 'virtual memory', 'context switch',
+                    'thrashing', 'file system', 'round robin', 'critical section', 'starvation', 'fork', 'linux', 'unix',
+                    'shell command']
+            },
+            {
+                name: 'Databases',
+                aliases: ['dbms', 'rdbms', 'database', 'database management systems', 'sql'],
+                keywords: ['database', 'dbms', 'sql', 'primary key', 'foreign key', 'candidate key', 'normalization',
+                    'normal form', 'bcnf', '3nf', 'transaction', 'acid', 'join', 'relational', 'tuple', 'er diagram',
+                    'schema', 'query', 'table', 'index', 'functional dependency', 'nosql']
+            },
+            {
+                name: 'Computer Networks',
+                aliases: ['networks', 'networking', 'computer network', 'cn', 'data communication'],
+                keywords: ['network', 'tcp', 'udp', 'ip address', 'ipv4', 'ipv6', 'osi', 'router', 'routing', 'protocol',
+                    'http', 'https', 'dns', 'dhcp', 'subnet', 'mac address', 'ethernet', 'lan', 'wan', 'bandwidth',
+                    'packet', 'modem', 'hub', 'switch', 'transport layer', 'network layer', 'data link']
+            },
+            {
+                name: 'Data Structures',
+                aliases: ['ds', 'data structure'],
+                keywords: ['data structure', 'stack', 'queue', 'linked list', 'tree', 'binary tree', 'bst', 'avl',
+                    'heap', 'hash table', 'hashing', 'graph', 'array', 'lifo', 'fifo', 'trie', 'deque']
+            },
+            {
+                name: 'Algorithms',
+                aliases: ['algorithm', 'daa', 'design and analysis of algorithms'],
+                keywords: ['algorithm', 'sort', 'sorting', 'search', 'binary search', 'time complexity', 'complexity',
+                    'big-o', 'worst case', 'dynamic programming', 'greedy', 'divide and conquer', 'recursion',
+                    'dijkstra', 'bfs', 'dfs', 'spanning tree', 'huffman', 'quicksort', 'merge sort', 'recurrence',
+                    'asymptotic']
+            },
+            {
+                name: 'Object-Oriented Programming',
+                aliases: ['oop', 'oops', 'object oriented programming', 'object-oriented design'],
+                keywords: ['class', 'object', 'inheritance', 'polymorphism', 'encapsulation', 'abstraction',
+                    'constructor', 'destructor', 'virtual function', 'overloading', 'overriding', 'interface',
+                    'abstract class', 'method']
+            },
+            {
+                name: 'Programming',
+                aliases: ['c programming', 'c/c++', 'c++', 'java', 'python', 'programming languages'],
+                keywords: ['pointer', 'malloc', 'free', 'compiler', 'variable', 'function', 'printf', 'int', 'loop',
+                    'syntax', 'java', 'python', 'javascript', 'c++', 'keyword', 'macro', 'exception', 'string',
+                    'output of', 'code']
+            },
+            {
+                name: 'Software Engineering',
+                aliases: ['se', 'sdlc', 'software development'],
+                keywords: ['sdlc', 'software', 'testing', 'agile', 'waterfall', 'requirement', 'maintenance', 'scrum',
+                    'uml', 'unit testing', 'integration testing', 'git', 'version control', 'jira', 'spiral model',
+                    'black box', 'white box', 'coupling', 'cohesion', 'devops', 'regression', 'debugger',
+                    'continuous integration']
+            },
+            {
+                name: 'Security',
+                aliases: ['cyber security', 'cybersecurity', 'information security', 'network security'],
+                keywords: ['security', 'encryption', 'decryption', 'cipher', 'firewall', 'malware', 'virus',
+                    'authentication', 'authorized', 'phishing', 'rsa', 'aes', 'ssl', 'tls', 'attack', 'vulnerability',
+                    'password', 'cryptography', 'cybersecurity']
+            },
+            {
+                name: 'Web Development',
+                aliases: ['web', 'web technologies', 'web technology'],
+                keywords: ['html', 'html5', 'css', 'css3', 'dom', 'browser', 'react', 'json', 'rest', 'api', 'web page',
+                    'url', 'cookie']
+            },
+            {
+                name: 'Theory of Computation',
+                aliases: ['toc', 'automata', 'automata theory', 'formal languages'],
+                keywords: ['automaton', 'automata', 'dfa', 'nfa', 'turing machine', 'regular expression',
+                    'regular language', 'context-free', 'grammar', 'pumping lemma', 'finite state machine',
+                    'mealy', 'moore machine']
+            },
+            {
+                name: 'Electronics',
+                aliases: ['analog electronics', 'electronic devices', 'basic electronics', 'electrical'],
+                keywords: ['diode', 'zener', 'transistor', 'bjt', 'fet', 'mosfet', 'amplifier', 'op-amp', 'capacitor',
+                    'capacitance', 'resistor', 'resistance', 'inductor', 'semiconductor', 'rectifier', 'oscillator',
+                    'oscillation', 'voltage', 'current', 'ohm', 'pn junction', 'depletion region', 'schmitt trigger',
+                    'ac', 'dc', 'circuit', 'power']
+            },
+            {
+                name: 'Communication Systems',
+                aliases: ['communication', 'digital communication', 'analog communication', 'signals and systems'],
+                keywords: ['modulation', 'demodulation', 'shannon', 'entropy', 'bpsk', 'qpsk', 'fsk', 'channel capacity',
+                    'nyquist', 'sampling', 'noise', 'signal', 'bandwidth', 'frequency', 'fourier', 'transmission']
+            }
+        ];
+        // Keyword hits needed for a keyword tag; hits in the question count double
+        this.minScore = 2;
+        this.patterns = this.topics.map(topic => ({
+            name: topic.name,
+            keywords: topic.keywords.map(keyword => new RegExp(
+                `(?:^|[^\\w+])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:e?s)?(?![\\w+])`, 'i'))
+        }));
+    }
+
+    /**
+     * Set each question's tags and where they came from (tagSource: 'manual',
+     * 'section', 'keyword' or null). manualTags maps question IDs to the
+     * user's tags.
+     */
+    apply(questions, manualTags = {}) {
+        questions.forEach(question => {
+            const manual = manualTags[question.id];
+            const sections = (question.topics || []).map(topic => this.normalizeTopic(topic));
+            if (manual && manual.length > 0) {
+                question.tags = [...manual];
+                question.tagSource = 'manual';
+            } else if (sections.length > 0) {
+                question.tags = [...new Set(sections)];
+                question.tagSource = 'section';
+            } else {
+                const topic = this.suggest(question);
+                question.tags = topic ? [topic] : [];
+                question.tagSource = topic ? 'keyword' : null;
+            }
+        });
+        return questions;
+    }
+
+    /**
+     * Use the known name for a topic a source calls something else ("DBMS" -> "Databases")
+     */
+    normalizeTopic(name) {
+        const key = name.trim().toLowerCase();
+        const topic = this.topics.find(t => t.name.toLowerCase() === key || t.aliases.includes(key));
+        return topic ? topic.name : name.trim();
+    }
+
+    /**
+     * The topic whose keywords best match a question, or null
+     */
+    suggest(question) {
+        const options = question.options.map(opt => opt.text).join(' ');
+        const texts = [
+            { text: question.question, weight: 2 },
+            { text: `${options} ${question.code || ''} ${question.explanation || ''}`, weight: 1 }
+        ];
+
+        let best = null;
+        this.patterns.forEach(topic => {
+            const score = texts.reduce((sum, { text, weight }) =>
+                sum + weight * topic.keywords.filter(pattern => pattern.test(text)).length, 0);
+            if (score >= this.minScore && (!best || score > best.score)) best = { name: topic.name, score };
+        });
+        return best ? best.name : null;
+    }
+
+    /**
+     * Split a comma-separated list typed by the user into tags
+     */
+    parseTags(text) {
+        return [...new Set(text.split(/[,;]/).map(tag => tag.trim()).filter(Boolean).map(tag => this.normalizeTopic(tag)))];
+    }
+
+    /**
+     * Topics in use with their question counts, most used first
+     */
+    getTopics(questions) {
+        const counts = new Map();
+        questions.forEach(question => (question.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        return [...counts]
+            .map(([topic, count]) => ({ topic, count }))
+            .sort((a, b) => b.count - a.count || a.topic.localeCompare(b.topic));
+    }
+
+    /**
+     * Per-topic results over saved attempts: [{ topic, questions, answered,
+     * correct, accuracy }]. Responses are matched to the loaded questions by
+     * ID; unscored ones don't count, and multi-select answers count as correct
+     * only when every letter matches.
+     */
+    getStats(questions, attempts) {
+        const byId = new Map(questions.map(question => [question.id, question]));
+        const stats = new Map(this.getTopics(questions).map(({ topic, count }) =>
+            [topic, { topic, questions: count, answered: 0, correct: 0, accuracy: null }]));
+
+        attempts.flatMap(attempt => attempt.responses || []).forEach(response => {
+            const question = byId.get(response.id);
+            if (!question || !response.scored) return;
+            const correct = this.sameLetters(response.selected, response.answer);
+            question.tags.forEach(tag => {
+                const entry = stats.get(tag);
+                entry.answered++;
+                if (correct) entry.correct++;
+            });
+        });
+
+        stats.forEach(entry => {
+            if (entry.answered > 0) entry.accuracy = Math.round((entry.correct / entry.answered) * 100);
+        });
+        return [...stats.values()];
+    }
+
+    /**
+     * Compare a selected letter (or letters) with the answer
+     */
+    sameLetters(selected, answer) {
+        const letters = (value) => [].concat(value || []).sort().join(',');
+        return letters(answer) !== '' && letters(selected) === letters(answer);
+    }
+}
+
+// Export for use in app.js
+window.TopicTagger = TopicTagger;